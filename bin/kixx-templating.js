@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+import process from 'node:process';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import lintDirectory from '../lib/lint-directory.js';
+import builtinHelpers from '../lib/helpers/mod.js';
+
+
+const USAGE = `Usage: kixx-templating lint <directory> [options]
+
+Check every template in a directory for syntax errors, unknown helpers,
+missing partials, partial include cycles and other problems.
+
+Options:
+  --partials <prefix>   Report templates with names starting with the prefix,
+                        like "partials/", which no template includes
+  --helpers <module>    An ES module which exports custom helper functions,
+                        or a Map or object of them as the default export
+  --ext <extensions>    Comma separated template file extensions (default: .html)
+  --json                Print the diagnostics as JSON`;
+
+
+async function main(args) {
+    const [ command, ...rest ] = args;
+
+    if (command === 'lint') {
+        return lint(parseOptions(rest));
+    }
+
+    console.error(USAGE);
+    return 2;
+}
+
+async function lint(options) {
+    if (!options.directory) {
+        throw new Error('A template directory is required');
+    }
+
+    const helpers = new Map(builtinHelpers);
+
+    if (options.helpers) {
+        const mod = await import(pathToFileURL(path.resolve(options.helpers)).href);
+        // Helpers may also be given as the named exports of the module.
+        const exported = mod.default || mod;
+        const customHelpers = exported instanceof Map ? exported : Object.entries(exported);
+
+        for (const [ name, helper ] of customHelpers) {
+            if (typeof helper === 'function') {
+                helpers.set(name, helper);
+            }
+        }
+    }
+
+    const { templates, diagnostics } = lintDirectory(options.directory, {
+        helpers,
+        partials: options.partials,
+        extensions: options.extensions,
+    });
+
+    const errorCount = diagnostics.filter(({ severity }) => severity === 'error').length;
+
+    if (options.json) {
+        console.log(JSON.stringify({ templates, diagnostics }, null, 2));
+    } else {
+        for (const { severity, code, message, filename, lineNumber, startPosition } of diagnostics) {
+            const location = `${ path.join(options.directory, filename) }:${ lineNumber }:${ startPosition + 1 }`;
+            console.log(`${ location } ${ severity } ${ message } [${ code }]`);
+        }
+
+        const warningCount = diagnostics.length - errorCount;
+        console.log(`${ templates.length } templates checked: ${ errorCount } errors, ${ warningCount } warnings`);
+    }
+
+    return errorCount > 0 ? 1 : 0;
+}
+
+function parseOptions(args) {
+    const options = {
+        directory: null,
+        partials: null,
+        helpers: null,
+        extensions: null,
+        json: false,
+    };
+
+    for (let i = 0; i < args.length; i += 1) {
+        const arg = args[i];
+
+        switch (arg) {
+            case '--partials':
+                i += 1;
+                options.partials = args[i];
+                break;
+            case '--helpers':
+                i += 1;
+                options.helpers = args[i];
+                break;
+            case '--ext':
+                i += 1;
+                options.extensions = (args[i] || '').split(',').map((ext) => (ext.startsWith('.') ? ext : `.${ ext }`));
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option ${ arg }`);
+                }
+                options.directory = arg;
+        }
+    }
+
+    return options;
+}
+
+
+main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+}, (error) => {
+    console.error(error.message);
+    process.exitCode = 2;
+});
@@ -0,0 +1,204 @@
+import LineSyntaxError from './line-syntax-error.js';
+import createDiagnostic from './create-diagnostic.js';
+import builtinHelpers from './helpers/mod.js';
+import { findPartialName, getTreeFilename } from './utils.js';
+
+
+// Find problems in a syntax tree which would otherwise only show up when the template is
+// compiled or rendered. The helpers default to the built-in helpers. Partial checks are
+// only made when a Map of partial names to syntax trees is given.
+export default function analyze(tree, options) {
+    const helpers = (options && options.helpers) || builtinHelpers;
+    const partials = (options && options.partials) || null;
+    const filename = getTreeFilename(tree);
+
+    const diagnostics = [];
+    const usedHelpers = new Set();
+    const includedPartials = new Set();
+
+    function report(severity, code, message, token) {
+        diagnostics.push(createDiagnostic(severity, new LineSyntaxError(message, Object.assign({ code }, token))));
+    }
+
+    function checkHelperName(name, token) {
+        usedHelpers.add(name);
+
+        if (!helpers.has(name)) {
+            report('error', 'UNKNOWN_HELPER', `No helper named "${ name }" in "${ token.filename }" on line ${ token.lineNumber }`, token);
+        }
+    }
+
+    // Paths are looked up in the helpers before the context, so a path which
+    // names a helper never reaches a context value of the same name.
+    function checkArgument(arg, token) {
+        switch (arg.type) {
+            case 'PATH':
+                if (!arg.scope && arg.path.length === 1 && helpers.has(arg.path[0])) {
+                    report(
+                        'warning',
+                        'HELPER_SHADOWS_CONTEXT',
+                        `"${ arg.pathString }" in "${ token.filename }" on line ${ token.lineNumber } refers to the helper "${ arg.pathString }" rather than a context value`,
+                        token
+                    );
+                }
+                break;
+            case 'KEY_VALUE':
+                checkArgument(arg.value, token);
+                break;
+            case 'SUBEXPRESSION':
+                checkHelperName(arg.exp[0].path[0], token);
+                arg.exp.slice(1).forEach((subArg) => checkArgument(subArg, token));
+                break;
+        }
+    }
+
+    function checkPartialName(name, token) {
+        if (!partials) {
+            return;
+        }
+
+        const partialName = findPartialName(partials, name, filename);
+        includedPartials.add(partialName || name);
+
+        if (!partialName) {
+            report('error', 'UNKNOWN_PARTIAL', `No partial named "${ name }" in "${ token.filename }" on line ${ token.lineNumber }`, token);
+            return;
+        }
+
+        const cycle = findIncludeCycle(partials, partialName, filename);
+
+        if (cycle) {
+            report(
+                'error',
+                'PARTIAL_CYCLE',
+                `The partial "${ name }" in "${ token.filename }" on line ${ token.lineNumber } includes this template again: ${ [ filename ].concat(cycle).join(' > ') }`,
+                token
+            );
+        }
+    }
+
+    function checkBlockParams(name, blockParams, outerBlockParams, token) {
+        if (name === 'each' && blockParams.length === 0) {
+            report(
+                'error',
+                'MISSING_BLOCK_PARAMS',
+                `The "#each" block in "${ token.filename }" on line ${ token.lineNumber } requires block params, like {{#each items as |item|}}`,
+                token
+            );
+        }
+
+        for (const param of blockParams) {
+            if (outerBlockParams.includes(param)) {
+                report(
+                    'warning',
+                    'SHADOWED_BLOCK_PARAM',
+                    `The block param "${ param }" in "${ token.filename }" on line ${ token.lineNumber } shadows a block param of an enclosing block`,
+                    token
+                );
+            }
+        }
+    }
+
+    function walk(nodes, blockParams) {
+        for (const node of nodes) {
+            const token = node.tokens[0];
+
+            switch (node.type) {
+                case 'PATH_EXPRESSION':
+                    node.exp.forEach((arg) => checkArgument(arg, token));
+                    break;
+                case 'HELPER_EXPRESSION':
+                    checkHelperName(node.exp[0].path[0], token);
+                    node.exp.slice(1).forEach((arg) => checkArgument(arg, token));
+                    break;
+                case 'BLOCK_OPEN': {
+                    const name = node.exp[0].path[0];
+                    const params = getBlockParams(node.exp);
+
+                    checkHelperName(name, token);
+                    node.exp.slice(1).forEach((arg) => checkArgument(arg, token));
+                    checkBlockParams(name, params, blockParams, token);
+                    walk(node.children, blockParams.concat(params));
+                    break;
+                }
+                case 'PARTIAL':
+                    checkPartialName(node.name, token);
+                    node.exp.forEach((arg) => checkArgument(arg, token));
+                    break;
+                case 'EXTENDS':
+                    checkPartialName(node.name, token);
+                    walk(node.children, blockParams);
+                    break;
+                case 'BLOCK':
+                    walk(node.children, blockParams);
+                    break;
+            }
+        }
+    }
+
+    walk(tree, []);
+
+    return {
+        diagnostics,
+        helpers: Array.from(usedHelpers).sort(),
+        partials: Array.from(includedPartials).sort(),
+    };
+}
+
+// The names of the partials and layouts a syntax tree includes, with the tags which include them.
+export function getIncludes(tree) {
+    const includes = [];
+
+    function walk(nodes) {
+        for (const node of nodes) {
+            if (node.type === 'PARTIAL' || node.type === 'EXTENDS') {
+                includes.push({ name: node.name, token: node.tokens[0] });
+            }
+            if (node.children) {
+                walk(node.children);
+            }
+        }
+    }
+
+    walk(tree);
+
+    return includes;
+}
+
+// Follow the includes of a partial, and return the chain of partial names which leads back
+// to the template, or null if there is none. Partials which are not syntax trees are skipped.
+function findIncludeCycle(partials, partialName, filename) {
+    const visited = new Set();
+
+    function visit(name) {
+        if (name === filename) {
+            return [ name ];
+        }
+
+        const tree = partials.get(name);
+
+        if (visited.has(name) || !Array.isArray(tree)) {
+            return null;
+        }
+
+        visited.add(name);
+
+        for (const include of getIncludes(tree)) {
+            const includeName = findPartialName(partials, include.name, name);
+            const cycle = includeName ? visit(includeName) : null;
+
+            if (cycle) {
+                return [ name ].concat(cycle);
+            }
+        }
+
+        return null;
+    }
+
+    return visit(partialName);
+}
+
+function getBlockParams(exp) {
+    const blockParams = exp.find(({ type }) => type === 'BLOCK_PARAMS');
+    return blockParams ? blockParams.params : [];
+}
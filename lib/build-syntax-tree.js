@@ -1,39 +1,123 @@
 import LineSyntaxError from './line-syntax-error.js';
+import createDiagnostic from './create-diagnostic.js';
+
+
+// The version of the syntax tree node format described in the API reference. It changes
+// when nodes change in a way which could break code which reads or writes them.
+export const NODE_FORMAT_VERSION = 1;
+
+// Tags which are removed along with their line when they are on a line by themselves.
+const STANDALONE_NODE_TYPES = [
+    'BLOCK_OPEN',
+    'BLOCK_CLOSE',
+    'ELSE',
+    'PARTIAL',
+    'EXTENDS',
+    'BLOCK',
+];
 
 
 export default function buildSyntaxTree(options, tokens) {
+    try {
+        return buildTree(options, tokens);
+    } catch (error) {
+        // The tokens hold every line of the template, so syntax errors can show the lines around them.
+        if (error instanceof LineSyntaxError) {
+            error.setSourceLines(getSourceLines(tokens));
+        }
+        throw error;
+    }
+}
+
+function getSourceLines(tokens) {
+    const lines = [];
+    for (const token of tokens) {
+        lines[token.lineNumber - 1] = token.line;
+    }
+    return lines;
+}
+
+function buildTree(options, tokens) {
     const tree = [];
     const blocks = [];
 
+    // Standalone line stripping is opt-in, since it changes the output of existing templates.
+    const stripStandalone = Boolean(options && options.stripStandalone);
+
+    // In recover mode syntax errors are collected as diagnostics instead of being thrown, and
+    // the parser keeps going so that every problem in the template can be reported at once.
+    const recover = Boolean(options && options.recover);
+    const diagnostics = [];
+
     let mustacheOpenToken = null;
     let commentOpenToken = null;
     let expressionParts = [];
 
+    // The content nodes pushed since the last tag, which a "{{~" marker trims.
+    let contentRun = [];
+    // Set by a "~}}" marker to trim the content which follows the tag.
+    let trimNextContent = false;
+    // The whitespace before the current tag when it is the first thing on its line.
+    let leadingWhitespace = null;
+    // A tag which is standalone if the rest of its line is blank.
+    let pendingStandalone = null;
+
     for (const token of tokens) {
-        if (token.tokenString === '{{') {
+        if (pendingStandalone) {
+            const pending = pendingStandalone;
+            pendingStandalone = null;
+
+            if (isRestOfLineBlank(token, pending.closeToken)) {
+                stripStandaloneLine(pending);
+                continue;
+            }
+        }
+
+        if (token.tokenString === '{{' || token.tokenString === '{{{') {
             if (mustacheOpenToken) {
-                throw new LineSyntaxError(
+                report(new LineSyntaxError(
                     `Failed to close mustache opened in ${ mustacheOpenToken.filename } on line ${ mustacheOpenToken.lineNumber }`,
-                    mustacheOpenToken
-                );
-            } else {
-                mustacheOpenToken = token;
+                    Object.assign({ code: 'UNCLOSED_MUSTACHE' }, mustacheOpenToken)
+                ));
+                // Recover by dropping the unclosed expression and starting over with this one.
+                expressionParts = [];
             }
-        } else if (token.tokenString === '{{!--') {
+            mustacheOpenToken = token;
+            leadingWhitespace = getLeadingWhitespace(token);
+        } else if (token.tokenString === '{{!--' || token.tokenString === '{{~!--') {
             if (commentOpenToken) {
-                throw new LineSyntaxError(
+                report(new LineSyntaxError(
                     `Failed to close comment opened in ${ commentOpenToken.filename } on line ${ commentOpenToken.lineNumber }`,
-                    commentOpenToken
-                );
+                    Object.assign({ code: 'UNCLOSED_COMMENT' }, commentOpenToken)
+                ));
             } else {
                 commentOpenToken = token;
+                leadingWhitespace = getLeadingWhitespace(token);
+                if (token.tokenString === '{{~!--') {
+                    trimContentBefore();
+                }
+            }
+        } else if (mustacheOpenToken && (token.tokenString === '}}' || token.tokenString === '}}}')) {
+            const openTriple = mustacheOpenToken.tokenString === '{{{';
+            const closeTriple = token.tokenString === '}}}';
+            if (openTriple !== closeTriple) {
+                report(new LineSyntaxError(
+                    `Mismatched braces; "${ mustacheOpenToken.tokenString }" opened in ${ mustacheOpenToken.filename } on line ${ mustacheOpenToken.lineNumber } was closed with "${ token.tokenString }"`,
+                    Object.assign({ code: 'MISMATCHED_BRACES' }, token)
+                ));
+            }
+            const node = addTag(mustacheOpenToken, token, expressionParts);
+            if (node && stripStandalone && leadingWhitespace && STANDALONE_NODE_TYPES.includes(node.type)) {
+                pendingStandalone = { node, leadingWhitespace, closeToken: token };
             }
-        } else if (mustacheOpenToken && token.tokenString === '}}') {
-            addExpression(mustacheOpenToken, token, expressionParts);
             expressionParts = [];
             mustacheOpenToken = null;
-        } else if (commentOpenToken && token.tokenString === '--}}') {
+        } else if (commentOpenToken && (token.tokenString === '--}}' || token.tokenString === '--~}}')) {
             commentOpenToken = null;
+            trimNextContent = token.tokenString === '--~}}';
+            if (stripStandalone && leadingWhitespace) {
+                pendingStandalone = { node: null, leadingWhitespace, closeToken: token };
+            }
         } else if (mustacheOpenToken) {
             expressionParts.push(token);
         } else if (commentOpenToken) {
@@ -42,64 +126,291 @@ export default function buildSyntaxTree(options, tokens) {
                 tokens: [ token ],
             });
         } else if (!mustacheOpenToken && !commentOpenToken) {
-            pushNode({
-                type: 'CONTENT',
-                str: token.tokenString,
-                tokens: [ token ],
-            });
+            pushContent(token);
         }
     }
 
     if (mustacheOpenToken) {
-        throw new LineSyntaxError(
+        report(new LineSyntaxError(
             `Failed to close mustache opened in ${ mustacheOpenToken.filename } on line ${ mustacheOpenToken.lineNumber }`,
-            mustacheOpenToken
-        );
+            Object.assign({ code: 'UNCLOSED_MUSTACHE' }, mustacheOpenToken)
+        ));
     }
     if (commentOpenToken) {
-        throw new LineSyntaxError(
+        report(new LineSyntaxError(
             `Failed to close comment opened in ${ commentOpenToken.filename } on line ${ commentOpenToken.lineNumber }`,
-            commentOpenToken
-        );
+            Object.assign({ code: 'UNCLOSED_COMMENT' }, commentOpenToken)
+        ));
     }
-    if (blocks.length > 0) {
-        const token = blocks[0].tokens[0];
-        throw new LineSyntaxError(
+    for (const block of blocks) {
+        report(createUnclosedBlockError(block));
+    }
+
+    // Throws the error, or collects it as a diagnostic in recover mode.
+    function report(error) {
+        if (!recover) {
+            throw error;
+        }
+        diagnostics.push(createDiagnostic('error', error));
+    }
+
+    // In recover mode a tag with a syntax error is reported and left out of the tree.
+    function addTag(openToken, closeToken, parts) {
+        try {
+            return addExpression(openToken, closeToken, parts);
+        } catch (error) {
+            if (!recover || !(error instanceof LineSyntaxError)) {
+                throw error;
+            }
+            report(error);
+            return null;
+        }
+    }
+
+    function createUnclosedBlockError(block) {
+        const token = block.tokens[0];
+        return new LineSyntaxError(
             `Failed to close block opened in ${ token.filename } on line ${ token.lineNumber }`,
-            token
+            Object.assign({ code: 'UNCLOSED_BLOCK' }, token)
         );
     }
 
-    // Called with an expression token (the tokens between {{ }} mustaches).
+    // Called with an expression token (the tokens between {{ }} mustaches). Returns the new node.
     function addExpression(openToken, closeToken, parts) {
         // The "parts" are the tokens representing a single expression which was split over more than 1 line.
-        const tokenString = parts.map((t) => t.tokenString.trim()).join(' ');
+        let tokenString = parts.map((t) => t.tokenString.trim()).join(' ');
+
+        // A "~" at either end of the expression trims the whitespace on that side of the tag.
+        let trimAfter = false;
+        if (tokenString.startsWith('~')) {
+            trimContentBefore();
+            tokenString = tokenString.slice(1).trim();
+        }
+        if (tokenString.endsWith('~')) {
+            trimAfter = true;
+            tokenString = tokenString.slice(0, -1).trim();
+        }
+
+        const node = createNodeFromExpression(openToken, closeToken, parts, tokenString);
+
+        trimNextContent = trimAfter;
+
+        return node;
+    }
+
+    function createNodeFromExpression(openToken, closeToken, parts, tokenString) {
+        // Triple mustaches "{{{ }}}" and the "{{& }}" prefix output values without escaping.
+        let raw = openToken.tokenString === '{{{';
+        if (tokenString.startsWith('&')) {
+            raw = true;
+            tokenString = tokenString.slice(1).trim();
+        }
+
+        if (raw) {
+            if (/^[#/>]/.test(tokenString) || tokenString === 'else') {
+                throw new LineSyntaxError(
+                    `Only path and helper expressions can be output raw in ${ openToken.filename } on line ${ openToken.lineNumber }`,
+                    Object.assign({ code: 'INVALID_RAW_OUTPUT' }, openToken)
+                );
+            }
+            const rawNode = createExpressionNode(openToken, closeToken, parts, tokenString);
+            rawNode.raw = true;
+            pushNode(rawNode);
+            return rawNode;
+        }
+
+        let node;
 
         // Some expressions are explicitly typed using the first few characters.
         if (tokenString.startsWith('#')) {
-            pushBlockOpen({
-                type: 'BLOCK_OPEN',
-                exp: parseExpression(openToken, closeToken, tokenString.slice(1).trim()),
-                children: [],
-                tokens: parts,
-            });
+            node = createBlockOpenNode(openToken, closeToken, parts, tokenString.slice(1).trim());
+            pushBlockOpen(node);
         } else if (tokenString.startsWith('/')) {
-            pushBlockClose({
+            node = {
                 type: 'BLOCK_CLOSE',
                 exp: tokenString.slice(1).trim(),
                 tokens: parts,
-            });
+            };
+            if (validateBlockClose(node)) {
+                pushBlockClose(node);
+            } else {
+                node = null;
+            }
         } else if (tokenString.startsWith('>')) {
-            pushNode({
-                type: 'PARTIAL',
-                exp: tokenString.slice(1).trim(),
-                tokens: parts,
-            });
+            node = createPartialNode(openToken, closeToken, parts, tokenString.slice(1).trim());
+            pushNode(node);
         } else if (tokenString === 'else') {
-            pushNode({ type: 'ELSE', tokens: parts });
+            if (validateElse(parts[0])) {
+                node = { type: 'ELSE', tokens: parts };
+                pushNode(node);
+            } else {
+                node = null;
+            }
         } else {
-            pushNode(createExpressionNode(openToken, closeToken, parts, tokenString));
+            node = createExpressionNode(openToken, closeToken, parts, tokenString);
+            pushNode(node);
+        }
+
+        return node;
+    }
+
+    // The close tag name must match the name of the innermost open block. The error
+    // points at the close tag name, with the open tag as the related location. Returns
+    // false when the close tag should be left out of the tree in recover mode.
+    function validateBlockClose(closeNode) {
+        const closeToken = closeNode.tokens[0];
+        const openBlock = blocks[blocks.length - 1];
+
+        if (!openBlock) {
+            report(new LineSyntaxError(
+                `Unexpected "{{/${ closeNode.exp }}}" without an open block in ${ closeToken.filename } on line ${ closeToken.lineNumber }`,
+                Object.assign({ code: 'UNEXPECTED_BLOCK_CLOSE' }, closeToken)
+            ));
+            return false;
+        }
+
+        const blockName = getBlockName(openBlock);
+
+        if (closeNode.exp === blockName) {
+            return true;
         }
+
+        let matchingIndex = -1;
+        if (recover) {
+            for (let i = blocks.length - 1; i >= 0 && matchingIndex === -1; i -= 1) {
+                if (getBlockName(blocks[i]) === closeNode.exp) {
+                    matchingIndex = i;
+                }
+            }
+        }
+
+        if (matchingIndex === -1) {
+            const blockToken = openBlock.tokens[0];
+            report(new LineSyntaxError(
+                `The "{{#${ blockName }}}" block opened in ${ blockToken.filename } on line ${ blockToken.lineNumber } was closed with "{{/${ closeNode.exp }}}" in ${ closeToken.filename } on line ${ closeToken.lineNumber }`,
+                Object.assign({ code: 'MISMATCHED_BLOCK_CLOSE', related: blockToken }, closeToken)
+            ));
+            // Recover by closing the innermost block anyway.
+            return true;
+        }
+
+        // The close tag matches an outer block, so the blocks inside of it were never closed.
+        while (blocks.length > matchingIndex + 1) {
+            report(createUnclosedBlockError(blocks.pop()));
+        }
+
+        return true;
+    }
+
+    // An "else" tag is only allowed in a helper block, like "#if" or "#each". The error
+    // points at the "else" in the tag.
+    function validateElse(elseToken) {
+        const openBlock = blocks[blocks.length - 1];
+
+        if (!openBlock || openBlock.type !== 'BLOCK_OPEN') {
+            report(new LineSyntaxError(
+                `Unexpected "{{else}}" outside of a helper block in ${ elseToken.filename } on line ${ elseToken.lineNumber }`,
+                Object.assign({ code: 'UNEXPECTED_ELSE' }, elseToken)
+            ));
+            return false;
+        }
+
+        return true;
+    }
+
+    function getBlockName(node) {
+        switch (node.type) {
+            case 'EXTENDS':
+                return 'extends';
+            case 'BLOCK':
+                return 'block';
+            default:
+                return node.exp[0] && node.exp[0].type === 'PATH' ? node.exp[0].pathString : '';
+        }
+    }
+
+    // A tag is standalone when it is the only thing on its line other than whitespace. The
+    // leading whitespace is the content node before the tag on its line, if there is one.
+    function getLeadingWhitespace(openToken) {
+        if (openToken.startPosition === 0) {
+            return { content: null, str: '' };
+        }
+
+        const last = contentRun[contentRun.length - 1];
+        const contentToken = last ? last.node.tokens[0] : null;
+
+        if (contentToken && contentToken.lineNumber === openToken.lineNumber && contentToken.startPosition === 0 && /^[ \t]*$/.test(last.node.str)) {
+            return { content: last, str: last.node.str };
+        }
+
+        return null;
+    }
+
+    function isRestOfLineBlank(token, closeToken) {
+        return token.lineNumber === closeToken.lineNumber && /^[ \t]*\r?\n$/.test(token.tokenString);
+    }
+
+    // Remove the whitespace before a standalone tag. The rest of the line, including the
+    // line break, is skipped by the caller. Partials keep the indentation of their line.
+    function stripStandaloneLine({ node, leadingWhitespace: leading }) {
+        if (leading.content) {
+            removeContent(leading.content);
+        }
+        if (node && node.type === 'PARTIAL' && leading.str) {
+            node.indent = leading.str;
+        }
+    }
+
+    function trimContentBefore() {
+        while (contentRun.length > 0) {
+            const last = contentRun[contentRun.length - 1];
+            last.node.str = last.node.str.replace(/\s+$/, '');
+            if (last.node.str) {
+                return;
+            }
+            removeContent(last);
+            contentRun.pop();
+        }
+    }
+
+    function removeContent({ node, children }) {
+        const index = children.indexOf(node);
+        if (index !== -1) {
+            children.splice(index, 1);
+        }
+    }
+
+    function pushContent(token) {
+        let str = token.tokenString;
+
+        // Keep trimming into the next content node when all of this one is trimmed away.
+        if (trimNextContent) {
+            str = str.replace(/^\s+/, '');
+            if (!str) {
+                return;
+            }
+            trimNextContent = false;
+        }
+
+        const node = {
+            type: 'CONTENT',
+            str,
+            tokens: [ token ],
+        };
+
+        const children = getCurrentChildren();
+        children.push(node);
+        contentRun.push({ node, children });
+    }
+
+    // Any node other than content ends the run of content which whitespace control applies to.
+    function endContentRun() {
+        contentRun = [];
+        trimNextContent = false;
+    }
+
+    function getCurrentChildren() {
+        return blocks.length > 0 ? blocks[blocks.length - 1].children : tree;
     }
 
     function createExpressionNode(openToken, closeToken, parts, tokenString) {
@@ -109,6 +420,10 @@ export default function buildSyntaxTree(options, tokens) {
         // empty mustache like this: "{{ }}". We just igore it.
         const type = exp.length <= 1 ? 'PATH_EXPRESSION' : 'HELPER_EXPRESSION';
 
+        if (type === 'HELPER_EXPRESSION' || (exp[0] && exp[0].type === 'SUBEXPRESSION')) {
+            validateHelperName(openToken, exp[0]);
+        }
+
         return {
             type,
             exp,
@@ -116,6 +431,111 @@ export default function buildSyntaxTree(options, tokens) {
         };
     }
 
+    function createBlockOpenNode(openToken, closeToken, parts, tokenString) {
+        const exp = parseExpression(openToken, closeToken, tokenString);
+        const first = exp[0];
+        const blockName = first && first.type === 'PATH' ? first.pathString : null;
+
+        if (first) {
+            validateHelperName(openToken, first);
+        }
+
+        // The "extends" and "block" tags are used for layout inheritance rather than helpers.
+        if (blockName === 'extends' || blockName === 'block') {
+            const nameArgument = exp[1];
+
+            if (exp.length !== 2 || nameArgument.type !== 'LITERAL' || typeof nameArgument.value !== 'string') {
+                throw new LineSyntaxError(
+                    `The "${ blockName }" tag requires a single quoted name in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                    Object.assign({ code: 'INVALID_TAG_NAME' }, openToken)
+                );
+            }
+
+            if (blockName === 'extends') {
+                if (blocks.length > 0) {
+                    throw new LineSyntaxError(
+                        `The "extends" tag cannot be nested in a block in ${ openToken.filename } on line ${ openToken.lineNumber }`,
+                        Object.assign({ code: 'NESTED_EXTENDS' }, openToken)
+                    );
+                }
+                if (tree.some(({ type }) => type === 'EXTENDS')) {
+                    throw new LineSyntaxError(
+                        `A template can only use the "extends" tag once in ${ openToken.filename } on line ${ openToken.lineNumber }`,
+                        Object.assign({ code: 'DUPLICATE_EXTENDS' }, openToken)
+                    );
+                }
+            }
+
+            return {
+                type: blockName === 'extends' ? 'EXTENDS' : 'BLOCK',
+                name: nameArgument.value,
+                children: [],
+                tokens: parts,
+            };
+        }
+
+        return {
+            type: 'BLOCK_OPEN',
+            exp,
+            children: [],
+            tokens: parts,
+        };
+    }
+
+    function createPartialNode(openToken, closeToken, parts, tokenString) {
+        let name;
+        let rest;
+
+        // The partial name may be quoted, otherwise it is delineated by the first space.
+        const quote = tokenString[0];
+        if (quote === '"' || quote === "'") {
+            const endIndex = tokenString.indexOf(quote, 1);
+            if (endIndex === -1) {
+                throw new LineSyntaxError(
+                    `Unclosed string literal in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                    Object.assign({ code: 'UNCLOSED_STRING' }, openToken)
+                );
+            }
+            name = tokenString.slice(1, endIndex);
+            rest = tokenString.slice(endIndex + 1);
+        } else {
+            const match = tokenString.match(/^\S*/);
+            name = match[0];
+            rest = tokenString.slice(name.length);
+        }
+
+        if (!name) {
+            throw new LineSyntaxError(
+                `Missing partial name in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                Object.assign({ code: 'MISSING_PARTIAL_NAME' }, openToken)
+            );
+        }
+
+        const exp = parseExpression(openToken, closeToken, rest.trim());
+
+        const positionals = exp.filter(({ type }) => type === 'PATH' || type === 'LITERAL' || type === 'SUBEXPRESSION');
+
+        if (positionals.length > 1) {
+            throw new LineSyntaxError(
+                `A partial accepts only one context argument in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                Object.assign({ code: 'INVALID_PARTIAL_ARGUMENTS' }, openToken)
+            );
+        }
+        if (exp.some(({ type }) => type === 'BLOCK_PARAMS')) {
+            throw new LineSyntaxError(
+                `A partial does not accept block params in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                Object.assign({ code: 'INVALID_PARTIAL_ARGUMENTS' }, openToken)
+            );
+        }
+
+        return {
+            type: 'PARTIAL',
+            name,
+            exp,
+            tokens: parts,
+        };
+    }
+
     function parseExpression(openToken, closeToken, tokenString) {
         const expressionTokens = [];
         let subToken = null;
@@ -139,7 +559,7 @@ export default function buildSyntaxTree(options, tokens) {
             if (subToken && subToken.type === 'KEY_VALUE') {
                 if (inStringLiteral) {
                     pushExpressionToken({
-                        value: { type: 'LITERAL', value: stringLiteral },
+                        value: { type: 'LITERAL', value: stringLiteral, quote: inStringLiteral },
                     });
                 } else if (expressionTokenString) {
                     pushExpressionToken({
@@ -147,7 +567,8 @@ export default function buildSyntaxTree(options, tokens) {
                     });
                 }
             } else if (inStringLiteral) {
-                expressionTokens.push({ type: 'LITERAL', value: stringLiteral });
+                // The quote character is kept so that the template can be printed the way it was written.
+                expressionTokens.push({ type: 'LITERAL', value: stringLiteral, quote: inStringLiteral });
             } else if (expressionTokenString) {
                 expressionTokens.push(parseSymbols(openToken, closeToken, expressionTokenString));
             }
@@ -194,6 +615,28 @@ export default function buildSyntaxTree(options, tokens) {
                 }
                 continue;
             }
+            if (c === '(') {
+                // A subexpression is a nested helper call, which is parsed recursively.
+                const endIndex = findClosingParenthesis(openToken, tokenString, charIndex);
+                const subexpression = createSubexpressionNode(openToken, closeToken, tokenString.slice(charIndex + 1, endIndex));
+
+                if (subToken && subToken.type === 'KEY_VALUE' && !expressionTokenString) {
+                    pushExpressionToken({ value: subexpression });
+                } else {
+                    closeSpaceDelineatedSubToken();
+                    expressionTokenString = '';
+                    expressionTokens.push(subexpression);
+                }
+
+                charIndex = endIndex;
+                continue;
+            }
+            if (c === ')') {
+                throw new LineSyntaxError(
+                    `Unexpected ")" without a matching "(" in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                    Object.assign({ code: 'UNEXPECTED_PARENTHESIS' }, openToken)
+                );
+            }
             if (c === '[') {
                 inBracket = true;
                 expressionTokenString += c;
@@ -246,25 +689,25 @@ export default function buildSyntaxTree(options, tokens) {
         if (inBracket) {
             throw new LineSyntaxError(
                 `Unclosed bracket "[...]" in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
-                openToken
+                Object.assign({ code: 'UNCLOSED_BRACKET' }, openToken)
             );
         }
         if (inBlockParams) {
             throw new LineSyntaxError(
                 `Unclosed block params in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
-                openToken
+                Object.assign({ code: 'UNCLOSED_BLOCK_PARAMS' }, openToken)
             );
         }
         if (inStringLiteral) {
             throw new LineSyntaxError(
                 `Unclosed string literal in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
-                openToken
+                Object.assign({ code: 'UNCLOSED_STRING' }, openToken)
             );
         }
         if (inStartKeyValue) {
             throw new LineSyntaxError(
                 `No value defined for key/value after "=" in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
-                openToken
+                Object.assign({ code: 'MISSING_KEY_VALUE' }, openToken)
             );
         }
 
@@ -273,6 +716,72 @@ export default function buildSyntaxTree(options, tokens) {
         return expressionTokens;
     }
 
+    // Find the ")" which closes the "(" at startIndex, skipping over nested
+    // subexpressions, string literals and bracketed path segments.
+    function findClosingParenthesis(openToken, tokenString, startIndex) {
+        let depth = 0;
+        let quote = '';
+        let inBracket = false;
+
+        for (let i = startIndex; i < tokenString.length; i += 1) {
+            const c = tokenString[i];
+
+            if (quote) {
+                if (c === quote) {
+                    quote = '';
+                }
+            } else if (inBracket) {
+                if (c === ']') {
+                    inBracket = false;
+                }
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '[') {
+                inBracket = true;
+            } else if (c === '(') {
+                depth += 1;
+            } else if (c === ')') {
+                depth -= 1;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+
+        throw new LineSyntaxError(
+            `Unclosed parenthesis "(" in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+            Object.assign({ code: 'UNCLOSED_PARENTHESIS' }, openToken)
+        );
+    }
+
+    function createSubexpressionNode(openToken, closeToken, tokenString) {
+        const exp = parseExpression(openToken, closeToken, tokenString.trim());
+        const first = exp[0];
+
+        if (!first) {
+            throw new LineSyntaxError(
+                `Empty subexpression "()" in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                Object.assign({ code: 'INVALID_SUBEXPRESSION' }, openToken)
+            );
+        }
+        if (first.type !== 'PATH' && first.type !== 'SUBEXPRESSION') {
+            throw new LineSyntaxError(
+                `A subexpression must start with a helper name in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                Object.assign({ code: 'INVALID_SUBEXPRESSION' }, openToken)
+            );
+        }
+        if (exp.some(({ type }) => type === 'BLOCK_PARAMS')) {
+            throw new LineSyntaxError(
+                `A subexpression does not accept block params in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                Object.assign({ code: 'INVALID_SUBEXPRESSION' }, openToken)
+            );
+        }
+
+        validateHelperName(openToken, first);
+
+        return { type: 'SUBEXPRESSION', exp };
+    }
+
     // Parse a sub-token of the expression token, looking for JavaScript literals and reference paths.
     function parseSymbols(openToken, closeToken, expressionString) {
         const rv = { type: 'LITERAL' };
@@ -309,17 +818,82 @@ export default function buildSyntaxTree(options, tokens) {
 
             // A string, so we assume this is a reference path;
             rv.type = 'PATH';
+
+            // A trailing "?" marks an optional path, which is allowed to be missing in strict mode.
+            if (str.length > 1 && str.endsWith('?')) {
+                str = str.slice(0, -1);
+                rv.optional = true;
+            }
+
+            const pathString = str;
+            let scope = null;
+            let depth = 0;
+
+            // Paths which start with "this", "./", "../" or "@root" are looked up in
+            // a specific scope rather than the current context. Other paths starting
+            // with "@" are data variables published by block helpers, like "@index".
+            if (str === 'this' || str === '@root') {
+                scope = str === 'this' ? 'this' : 'root';
+                str = '';
+            } else if (str.startsWith('this.') || str.startsWith('./')) {
+                scope = 'this';
+                str = str.slice(str.indexOf('.') + 1).replace(/^\//, '');
+            } else if (str.startsWith('@root.')) {
+                scope = 'root';
+                str = str.slice('@root.'.length);
+            } else if (str.startsWith('@')) {
+                scope = 'data';
+                str = str.slice(1);
+            } else if (str.startsWith('../')) {
+                scope = 'parent';
+                while (str.startsWith('../')) {
+                    str = str.slice('../'.length);
+                    depth += 1;
+                }
+            }
+
             rv.path = parseReferencePath(openToken, closeToken, str);
-            rv.pathString = str;
+            rv.pathString = pathString;
+
+            if (scope) {
+                rv.scope = scope;
+            }
+            if (depth > 0) {
+                rv.depth = depth;
+            }
+
             return rv;
         }
     }
 
+    // Helper expressions start with the helper name. Scoped paths like "../name"
+    // and "this.name" always refer to context values.
+    function validateHelperName(openToken, first) {
+        if (first.type === 'SUBEXPRESSION') {
+            throw new LineSyntaxError(
+                `A subexpression cannot be used as a helper name in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                Object.assign({ code: 'INVALID_HELPER_NAME' }, openToken)
+            );
+        }
+        if (first.type !== 'PATH') {
+            throw new LineSyntaxError(
+                `A helper expression must start with a helper name in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                Object.assign({ code: 'INVALID_HELPER_NAME' }, openToken)
+            );
+        }
+        if (first.scope) {
+            throw new LineSyntaxError(
+                `The path "${ first.pathString }" cannot be used as a helper name in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
+                Object.assign({ code: 'INVALID_HELPER_NAME' }, openToken)
+            );
+        }
+    }
+
     function parseReferencePath(openToken, closeToken, refpath) {
         if (refpath[0] === '.') {
             throw new LineSyntaxError(
                 `A reference path cannot start with "." in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
-                openToken
+                Object.assign({ code: 'INVALID_PATH' }, openToken)
             );
         }
 
@@ -352,7 +926,7 @@ export default function buildSyntaxTree(options, tokens) {
             } else {
                 throw new LineSyntaxError(
                     `Invalid JavaScript symbol character "${ c }" in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
-                    openToken
+                    Object.assign({ code: 'INVALID_PATH' }, openToken)
                 );
             }
         }
@@ -368,7 +942,7 @@ export default function buildSyntaxTree(options, tokens) {
         if (/^[\W]+$/.test(key)) {
             throw new LineSyntaxError(
                 `Invalid characters in key "${ key }" in expression in ${ openToken.filename } starting on line ${ openToken.lineNumber }`,
-                openToken
+                Object.assign({ code: 'INVALID_KEY' }, openToken)
             );
         }
         return key;
@@ -388,33 +962,27 @@ export default function buildSyntaxTree(options, tokens) {
 
     // Special handler for nested block openers.
     function pushBlockOpen(node) {
-        if (blocks.length > 0) {
-            blocks[blocks.length - 1].children.push(node);
-        } else {
-            tree.push(node);
-        }
-
+        pushNode(node);
         blocks.push(node);
     }
 
     // Special handler for nested block closers.
     function pushBlockClose(node) {
-        if (blocks.length > 0) {
-            blocks[blocks.length - 1].children.push(node);
-        } else {
-            tree.push(node);
-        }
+        pushNode(node);
         blocks.pop();
     }
 
     function pushNode(node) {
+        endContentRun();
 
         // If we are in a sub block then push the node onto the current branch of the AST.
-        if (blocks.length > 0) {
-            blocks[blocks.length - 1].children.push(node);
-        } else {
-            tree.push(node);
-        }
+        getCurrentChildren().push(node);
+    }
+
+    if (recover) {
+        // Problems like unclosed blocks are found after the tags which follow them.
+        diagnostics.sort((a, b) => a.lineNumber - b.lineNumber || a.startPosition - b.startPosition);
+        return { tree, diagnostics };
     }
 
     return tree;
@@ -0,0 +1,478 @@
+import createRenderFunction, {
+    getEscapeStrategy,
+    createHTMLContext,
+    getHelper,
+    toHelperError,
+    parseHelperArguments,
+    parsePartialArguments,
+    splitInverseChildren,
+    getPartial,
+    createLayoutRenderer,
+    createMissingPathError,
+    createRenderState,
+    enterScope,
+    createPartialState,
+    getScopeContext,
+    addIncludeFrame,
+    SUBEXPRESSION_HELPER_CONTEXT
+} from './create-render-function.js';
+import { createContextEscaper, getTreeFilename, indentLines } from './utils.js';
+
+
+// The functions which the generated code calls.
+const RUNTIME = {
+    toValue,
+    getStrict,
+    noopRender,
+    enterScope,
+    createPartialState,
+    getScopeContext,
+    callSubexpression,
+    indentLines,
+    getEscapeStrategy,
+    createContextEscaper,
+    getHelper,
+    toHelperError,
+    getPartial,
+    addIncludeFrame,
+    createLayoutRenderer,
+};
+
+
+// An alternative to createRenderFunction() which generates JavaScript source for the
+// template and compiles it with new Function(). Paths are unrolled, content is merged
+// and helper arguments are prepared ahead of time. The output is exactly the same as
+// the createRenderFunction() renderer, which is still used for async rendering,
+// streaming and source maps.
+export default function compileRenderFunction(options, helpers, partials, tree) {
+    const source = generateRenderSource(options, helpers, tree);
+    const createRootScope = new Function('runtime', 'helpers', 'partials', 'options', source);
+    const render = createCompiledRenderFunction(options, helpers, partials, tree, createRootScope);
+
+    // The generated source is kept for debugging.
+    render.source = source;
+
+    return render;
+}
+
+// Generate the body of a function which is called with the runtime, the helpers, the partials
+// and the options, and returns the render function for the root scope of the template. The
+// values the code refers to are declared as expressions, so that the source can also be
+// written into a module by precompile(). When the helpers are not known yet, paths which may
+// name a helper are checked when the render function is created.
+export function generateRenderSource(options, helpers, tree) {
+
+    const filename = getTreeFilename(tree);
+    const escapeValue = getEscapeStrategy(options, filename);
+    const htmlContext = createHTMLContext(options, escapeValue, filename);
+    const isStrict = Boolean(options && options.strict);
+
+    const declarations = [];
+    const declaredNames = new Map();
+    const scopes = [];
+
+    // Values which the generated code refers to are created from an expression when the
+    // render function is created. Each expression is only declared once.
+    function declare(expression) {
+        if (!declaredNames.has(expression)) {
+            const name = `r${ declaredNames.size }`;
+            declarations.push(`const ${ name } = ${ expression };`);
+            declaredNames.set(expression, name);
+        }
+        return declaredNames.get(expression);
+    }
+
+    // Only the location of a token is needed, for error messages.
+    function declareToken(token) {
+        return declare(JSON.stringify({
+            filename: token.filename,
+            lineNumber: token.lineNumber,
+            startPosition: token.startPosition,
+            endPosition: token.endPosition,
+            line: token.line,
+        }));
+    }
+
+    // Each list of nodes is compiled to a function which renders it with a context and state.
+    function compileScope(nodes) {
+        const index = scopes.length;
+        const name = `s${ index }`;
+        const statements = [];
+        let content = '';
+
+        // Reserve a place for this scope before compiling nested scopes.
+        scopes.push(null);
+
+        function flushContent() {
+            if (content) {
+                statements.push(`out += ${ JSON.stringify(content) };`);
+                content = '';
+            }
+        }
+
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'CONTENT':
+                    if (htmlContext) {
+                        htmlContext.update(node.str);
+                    }
+                    content += node.str;
+                    break;
+                case 'PATH_EXPRESSION':
+                    flushContent();
+                    statements.push(compilePathExpression(node));
+                    insertValue();
+                    break;
+                case 'HELPER_EXPRESSION':
+                    flushContent();
+                    statements.push(compileHelper(node));
+                    insertValue();
+                    break;
+                case 'BLOCK_OPEN':
+                    flushContent();
+                    statements.push(compileHelper(node));
+                    break;
+                case 'PARTIAL':
+                    flushContent();
+                    statements.push(compilePartial(node));
+                    insertValue();
+                    break;
+                case 'BLOCK':
+                    flushContent();
+                    statements.push(compileBlock(node));
+                    break;
+                case 'EXTENDS':
+                    // A template which extends a layout only renders the layout; anything
+                    // outside of the overriding blocks is ignored.
+                    scopes[index] = compileExtends(name, node);
+                    return name;
+            }
+        }
+
+        flushContent();
+
+        // Start with the first content rather than appending it to an empty string.
+        if (statements.length > 0 && statements[0].startsWith('out += "')) {
+            statements[0] = statements[0].replace('out += ', 'let out = ');
+        } else {
+            statements.unshift("let out = '';");
+        }
+
+        scopes[index] = [
+            `function ${ name }(ctx, state) {`,
+            ...statements.map(indent),
+            '    return out;',
+            '}',
+        ].join('\n');
+
+        return name;
+    }
+
+    function compilePathExpression(node) {
+        const value = compileArgument(node.exp[0], node.tokens[0]);
+
+        if (node.raw) {
+            return `out += ${ value };`;
+        }
+
+        const escaper = htmlContext
+            ? declare(`createContextEscaper(${ JSON.stringify(htmlContext.getEscapeContext()) })`)
+            : declare(`getEscapeStrategy(options, ${ JSON.stringify(filename) })`);
+
+        return `out += ${ escaper }(${ value });`;
+    }
+
+    function compileHelper(node) {
+        const helperName = node.exp[0].path[0];
+        const openToken = node.tokens[0];
+        const helperFunction = declareHelper(node.exp[0], openToken);
+
+        const { positionalArguments, namedArguments, blockParams } = parseHelperArguments(node.exp);
+
+        let renderPrimary = 'noopRender';
+        let renderInverse = 'noopRender';
+
+        if (node.children && node.children.length > 0) {
+            const [ renderTokens, inverseRenderTokens ] = splitInverseChildren(node.children);
+
+            if (renderTokens.length > 0) {
+                renderPrimary = compileScope(renderTokens);
+            }
+            if (inverseRenderTokens.length > 0) {
+                renderInverse = compileScope(inverseRenderTokens);
+            }
+        }
+
+        const params = declare(JSON.stringify(blockParams));
+        const createError = declareHelperError(helperName, openToken);
+
+        // Arguments are evaluated before the helper is called, so that only errors
+        // thrown by the helper itself are reported as helper errors.
+        const args = positionalArguments.map((arg) => compileArgument(arg, openToken));
+        const named = compileNamedArguments(namedArguments, openToken);
+
+        return [
+            '{',
+            ...args.map((arg, index) => `    const arg${ index } = ${ arg };`),
+            `    const named = ${ named };`,
+            '    let output;',
+            '    try {',
+            `        output = ${ helperFunction }.call({`,
+            `            blockParams: ${ params },`,
+            '            renderPrimary(newContext, scopeOptions) {',
+            '                const scopeContext = Object.assign({}, ctx, newContext);',
+            `                return ${ renderPrimary }(scopeContext, enterScope(state, ctx, newContext, scopeContext, scopeOptions));`,
+            '            },',
+            '            renderInverse(newContext, scopeOptions) {',
+            '                const scopeContext = Object.assign({}, ctx, newContext);',
+            `                return ${ renderInverse }(scopeContext, enterScope(state, ctx, newContext, scopeContext, scopeOptions));`,
+            '            },',
+            `        }, ${ [ 'ctx', 'named' ].concat(args.map((arg, index) => `arg${ index }`)).join(', ') });`,
+            '    } catch (cause) {',
+            `        throw ${ createError }(cause);`,
+            '    }',
+            '    out += output;',
+            '}',
+        ].join('\n');
+    }
+
+    function compilePartial(node) {
+        const openToken = node.tokens[0];
+        const partialName = node.name;
+        const { contextArgument, namedArguments } = parsePartialArguments(node.exp);
+
+        const name = JSON.stringify(partialName);
+        const token = declareToken(openToken);
+        const getPartialFunction = declare(`(state) => getPartial(options, partials, ${ name }, ${ token }, state)`);
+        const addFrame = declare(`(error) => addIncludeFrame(error, ${ name }, ${ token })`);
+
+        // A positional argument replaces the caller context, and key/value
+        // arguments are merged on top of whichever context is used.
+        const partialContext = contextArgument ? compileArgument(contextArgument, openToken) : 'ctx';
+        const context = namedArguments
+            ? `Object.assign({}, partialContext, ${ compileNamedArguments(namedArguments, openToken) })`
+            : 'partialContext';
+
+        // A standalone partial is indented to match the line it was included on.
+        const output = 'partial(scopeContext, createPartialState(state, ctx, scopeContext))';
+
+        return [
+            '{',
+            `    const partial = ${ getPartialFunction }(state);`,
+            `    const partialContext = ${ partialContext };`,
+            `    const scopeContext = ${ context };`,
+            '    try {',
+            `        out += ${ node.indent ? `indentLines(${ output }, ${ JSON.stringify(node.indent) })` : output };`,
+            '    } catch (error) {',
+            `        throw ${ addFrame }(error);`,
+            '    }',
+            '}',
+        ].join('\n');
+    }
+
+    function compileBlock(node) {
+        const blockName = JSON.stringify(node.name);
+        const renderDefault = compileScope(node.children);
+
+        return [
+            `if (state.blocks && state.blocks.has(${ blockName })) {`,
+            `    out += state.blocks.get(${ blockName })(ctx, state);`,
+            '} else {',
+            `    out += ${ renderDefault }(ctx, state);`,
+            '}',
+        ].join('\n');
+    }
+
+    function compileExtends(name, node) {
+        const ownBlocks = [];
+
+        for (const t of node.children) {
+            if (t.type === 'BLOCK') {
+                ownBlocks.push(`[ ${ JSON.stringify(t.name) }, ${ compileScope(t.children) } ]`);
+            }
+        }
+
+        const layoutNode = `{ name: ${ JSON.stringify(node.name) }, tokens: [ ${ declareToken(node.tokens[0]) } ] }`;
+
+        // Scope functions are hoisted, so the block Map can be created with the declarations.
+        declarations.push(`const ${ name }Layout = createLayoutRenderer(options, partials, ${ layoutNode }, new Map([ ${ ownBlocks.join(', ') } ]));`);
+
+        return [
+            `function ${ name }(ctx, state) {`,
+            `    return ${ name }Layout(ctx, state);`,
+            '}',
+        ].join('\n');
+    }
+
+    function compileArgument(arg, openToken) {
+        if (arg.type === 'LITERAL') {
+            return compileLiteral(arg.value);
+        }
+        if (arg.type === 'SUBEXPRESSION') {
+            return compileSubexpression(arg, openToken);
+        }
+        return compilePath(arg, openToken);
+    }
+
+    // The subexpression arguments are evaluated before callSubexpression() is called,
+    // so only errors thrown by the helper itself are reported as helper errors.
+    function compileSubexpression(arg, openToken) {
+        const helperName = arg.exp[0].path[0];
+        const helperFunction = declareHelper(arg.exp[0], openToken);
+        const createError = declareHelperError(helperName, openToken);
+
+        const { positionalArguments, namedArguments } = parseHelperArguments(arg.exp);
+        const args = positionalArguments.map((subArg) => compileArgument(subArg, openToken));
+        const named = compileNamedArguments(namedArguments, openToken);
+
+        return `callSubexpression(${ helperFunction }, ${ createError }, ctx, ${ named }, [ ${ args.join(', ') } ])`;
+    }
+
+    function compileNamedArguments(namedArguments, openToken) {
+        const properties = Object.keys(namedArguments).map((key) => {
+            return `${ JSON.stringify(key) }: ${ compileArgument(namedArguments[key], openToken) }`;
+        });
+
+        return properties.length > 0 ? `{ ${ properties.join(', ') } }` : '{}';
+    }
+
+    function declareHelper(helperPath, openToken) {
+        return declare(`getHelper(helpers, { exp: [ ${ JSON.stringify(helperPath) } ], tokens: [ ${ declareToken(openToken) } ] })`);
+    }
+
+    function declareHelperError(helperName, openToken) {
+        return declare(`(cause) => toHelperError(${ JSON.stringify(helperName) }, ${ declareToken(openToken) }, cause)`);
+    }
+
+    function compileLiteral(value) {
+        if (typeof value === 'string' || typeof value === 'boolean') {
+            return JSON.stringify(value);
+        }
+        // Numbers like NaN and -0, null and undefined.
+        return Object.is(value, -0) ? '-0' : String(value);
+    }
+
+    // Unroll the path into property lookups, which is the same walk as dereferencePath().
+    function compilePath(pathNode, openToken) {
+        const { path } = pathNode;
+
+        // Check for helpers by this name before checking the context. Helper names always
+        // have a path length of 1 (they are not nested).
+        const mayBeHelper = !pathNode.scope && path.length === 1;
+        const helperName = JSON.stringify(path[0]);
+
+        if (mayBeHelper && helpers && helpers.has(path[0])) {
+            return declare(`helpers.get(${ helperName })`);
+        }
+
+        let code = pathNode.scope ? `getScopeContext(ctx, state, ${ declare(JSON.stringify(pathNode)) })` : 'ctx';
+
+        if (isStrict && !pathNode.optional) {
+            const checkedPath = declare(`{ pathNode: ${ JSON.stringify(pathNode) }, openToken: ${ declareToken(openToken) } }`);
+
+            for (let level = 0; level < path.length; level += 1) {
+                code = `getStrict(${ code }, ${ level }, ${ checkedPath })`;
+            }
+        } else {
+            for (const key of path) {
+                code = `(${ code } || EMPTY)[${ JSON.stringify(key) }]`;
+            }
+        }
+
+        if (mayBeHelper && !helpers) {
+            const helperFunction = declare(`helpers.has(${ helperName }) ? helpers.get(${ helperName }) : null`);
+            return `(${ helperFunction } || toValue(${ code }))`;
+        }
+
+        return `toValue(${ code })`;
+    }
+
+    function insertValue() {
+        if (htmlContext) {
+            htmlContext.insertValue();
+        }
+    }
+
+    const rootScope = compileScope(tree);
+
+    return [
+        '"use strict";',
+        `const { ${ Object.keys(RUNTIME).join(', ') } } = runtime;`,
+        'const EMPTY = {};',
+        ...declarations,
+        ...scopes,
+        `return ${ rootScope };`,
+    ].join('\n');
+}
+
+// Create a render function from the function made from generateRenderSource(). Async
+// rendering, streaming and source maps, including a partial or layout rendered inside of
+// one of those renders, use the createRenderFunction() renderer for the syntax tree, which
+// is created the first time it is needed.
+export function createCompiledRenderFunction(options, helpers, partials, tree, createRootScope) {
+    const isAsync = Boolean(options && options.async);
+    const isSourceMap = Boolean(options && options.sourceMap);
+
+    const renderTemplate = createRootScope(RUNTIME, helpers, partials, options);
+
+    let renderClosureTemplate = null;
+
+    function getClosureRenderer() {
+        if (!renderClosureTemplate) {
+            renderClosureTemplate = createRenderFunction(options, helpers, partials, tree);
+        }
+        return renderClosureTemplate;
+    }
+
+    function render(context, state) {
+        if (state && (state.async || state.sourceMap)) {
+            return getClosureRenderer()(context, state);
+        }
+        if (state) {
+            return renderTemplate(context, state);
+        }
+        if (isAsync || isSourceMap) {
+            return getClosureRenderer()(context);
+        }
+        return renderTemplate(context, createRenderState(context, false));
+    }
+
+    render.stream = function* streamTemplate(context, state) {
+        yield* getClosureRenderer().stream(context, state);
+    };
+
+    return render;
+}
+
+function toValue(val) {
+    if (typeof val === 'undefined' || val === null || Number.isNaN(val)) {
+        return '';
+    }
+    return val;
+}
+
+function getStrict(val, level, { pathNode, openToken }) {
+    const next = (val || {})[pathNode.path[level]];
+
+    if (typeof next === 'undefined') {
+        throw createMissingPathError(pathNode, level, val, openToken);
+    }
+
+    return next;
+}
+
+function callSubexpression(helperFunction, createError, ctx, named, args) {
+    try {
+        return helperFunction.call(SUBEXPRESSION_HELPER_CONTEXT, ctx, named, ...args);
+    } catch (cause) {
+        throw createError(cause);
+    }
+}
+
+function noopRender() {
+    return '';
+}
+
+function indent(str) {
+    return str.split('\n').map((line) => `    ${ line }`).join('\n');
+}
@@ -0,0 +1,55 @@
+// The number of invalid paths listed in the error message. All of them are in error.errors.
+const MAX_LISTED_ERRORS = 10;
+
+
+export default class ContextValidationError extends Error {
+
+    name = 'ContextValidationError';
+
+    constructor(filename, errors) {
+        super(formatMessage(filename, errors));
+
+        Object.defineProperties(this, {
+            name: {
+                enumerable: true,
+                value: 'ContextValidationError',
+            },
+            code: {
+                enumerable: true,
+                value: 'INVALID_CONTEXT',
+            },
+            // The template which declared the schema.
+            filename: {
+                enumerable: true,
+                value: filename,
+            },
+            // The { path, keyword, message } of each invalid value.
+            errors: {
+                enumerable: true,
+                value: errors,
+            },
+        });
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            filename: this.filename,
+            errors: this.errors,
+        };
+    }
+}
+
+function formatMessage(filename, errors) {
+    const lines = errors.slice(0, MAX_LISTED_ERRORS).map(({ path, message }) => {
+        return `    ${ path || 'The context' } ${ message }`;
+    });
+
+    if (errors.length > MAX_LISTED_ERRORS) {
+        lines.push(`    and ${ errors.length - MAX_LISTED_ERRORS } more`);
+    }
+
+    return [ `The context for "${ filename }" does not match its schema:` ].concat(lines).join('\n');
+}
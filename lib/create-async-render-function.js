@@ -0,0 +1,8 @@
+import createRenderFunction from './create-render-function.js';
+
+
+// Create a render function which returns a promise for the rendered string. Helpers,
+// partial loaders, and context values may all return promises.
+export default function createAsyncRenderFunction(options, helpers, partials, tokens) {
+    return createRenderFunction(Object.assign({}, options, { async: true }), helpers, partials, tokens);
+}
@@ -0,0 +1,19 @@
+// A plain object description of a problem found in a template, made from a
+// LineSyntaxError so that it can be collected, serialized and reported later.
+export default function createDiagnostic(severity, error) {
+    const diagnostic = {
+        severity,
+        code: error.code,
+        message: error.message,
+        filename: error.filename,
+        lineNumber: error.lineNumber,
+        startPosition: error.startPosition,
+        endPosition: error.endPosition,
+    };
+
+    if (error.related) {
+        diagnostic.related = error.related;
+    }
+
+    return diagnostic;
+}
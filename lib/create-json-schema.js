@@ -0,0 +1,84 @@
+import { ITEM_SEGMENT } from './extract-data-contract.js';
+
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+
+// Create a JSON Schema skeleton for the context of a template from the result of
+// extractDataContract(). Objects and arrays are typed by the way the template reads
+// them, and values are left untyped. The #each helper iterates over the values of
+// objects (and Maps and Sets) as well as arrays, so iterated values may be either.
+// Every path the template reads outside of conditional blocks is required.
+export default function createJSONSchema(contract) {
+    const root = createNode();
+
+    for (const { segments, optional, iterated, helpers } of contract.paths) {
+        let node = root;
+
+        for (const segment of segments) {
+            if (segment === ITEM_SEGMENT) {
+                node.items = node.items || createNode();
+                node = node.items;
+            } else {
+                if (!node.properties.has(segment)) {
+                    node.properties.set(segment, createNode());
+                }
+                if (!optional) {
+                    node.required.add(segment);
+                }
+                node = node.properties.get(segment);
+            }
+        }
+
+        node.iterated = node.iterated || iterated;
+        helpers.forEach((helper) => node.helpers.add(helper));
+    }
+
+    return Object.assign({ $schema: JSON_SCHEMA_DIALECT }, toSchema(root, true));
+}
+
+function createNode() {
+    return {
+        properties: new Map(),
+        required: new Set(),
+        items: null,
+        iterated: false,
+        helpers: new Set(),
+    };
+}
+
+function toSchema(node, isRoot) {
+    const schema = {};
+    const iterated = Boolean(node.items || node.iterated);
+
+    if (iterated) {
+        schema.type = [ 'array', 'object' ];
+        if (node.items) {
+            schema.items = toSchema(node.items, false);
+            schema.additionalProperties = toSchema(node.items, false);
+        }
+    }
+
+    // An iterated value may also be read by property, like "posts.length".
+    if (node.properties.size > 0 || isRoot) {
+        if (!iterated) {
+            schema.type = 'object';
+        }
+        schema.properties = {};
+
+        for (const name of Array.from(node.properties.keys()).sort()) {
+            schema.properties[name] = toSchema(node.properties.get(name), false);
+        }
+
+        if (node.required.size > 0) {
+            schema.required = Array.from(node.required).sort();
+        }
+    }
+
+    if (node.helpers.size > 0) {
+        const names = Array.from(node.helpers).map((name) => `"${ name }"`).join(', ');
+        schema.description = `Passed to the ${ names } helper${ node.helpers.size > 1 ? 's' : '' }`;
+    }
+
+    return schema;
+}
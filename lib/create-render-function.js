@@ -1,28 +1,88 @@
 import LineSyntaxError from './line-syntax-error.js';
-import { escapeHTMLChars } from './utils.js';
-
+import ContextValidationError from './context-validation-error.js';
+import HTMLContext from './html-context.js';
+import escapers, { DEFAULT_ESCAPE_EXTENSIONS } from './escapers.js';
+import DeferredOutput, {
+    deferOutput,
+    appendOutput,
+    catchOutput,
+    resolveOutput,
+    createPlaceholderKey,
+    createPlaceholder,
+    insertPlaceholderOutput
+} from './deferred-output.js';
+import SourceMapRecorder, { getContentOrigin } from './source-map-recorder.js';
+import createSourceMap from './create-source-map.js';
+import { escapeHTMLChars, createContextEscaper, isThenable, getTreeFilename, indentLines } from './utils.js';
+
+
+// Helpers called in a subexpression do not have blocks to render. Rendering the primary
+// block returns true and the inverse block returns false, so conditional block helpers
+// like "ifEqual" return a boolean when they are used as a subexpression.
+export const SUBEXPRESSION_HELPER_CONTEXT = Object.freeze({
+    blockParams: Object.freeze([]),
+    renderPrimary() {
+        return true;
+    },
+    renderInverse() {
+        return false;
+    },
+});
 
 export default function createRenderFunction(options, helpers, partials, tokens) {
 
+    const filename = getTreeFilename(tokens);
+    const escapeValue = getEscapeStrategy(options, filename);
+    const htmlContext = createHTMLContext(options, escapeValue, filename);
+
+    // In async mode helpers, partial loaders, and context values may return promises.
+    const isAsync = Boolean(options && options.async);
+
+    // In strict mode a path which does not exist in the context is an error.
+    const isStrict = Boolean(options && options.strict);
+
+    // In source map mode the render function returns the output along with where it came from.
+    const isSourceMap = Boolean(options && options.sourceMap);
+
+    if (isAsync && isSourceMap) {
+        throw new Error('Source maps are not supported with async rendering');
+    }
+
     function createRenderer(theseTokens) {
         const newTokenStream = [];
 
         for (const token of theseTokens) {
             switch (token.type) {
                 case 'CONTENT':
+                    if (htmlContext) {
+                        htmlContext.update(token.str);
+                    }
                     if (newTokenStream.length > 0 && newTokenStream[newTokenStream.length - 1].type === 'CONTENT') {
                         // Combine content tokens whenever possible.
                         newTokenStream[newTokenStream.length - 1].str += token.str;
+                        newTokenStream[newTokenStream.length - 1].origins.push(getContentOrigin(token));
                     } else {
-                        newTokenStream.push(token);
+                        // Copy the node so that combining content does not change the
+                        // syntax tree, which may be compiled more than once.
+                        newTokenStream.push(Object.assign({}, token, { origins: [ getContentOrigin(token) ] }));
                     }
                     break;
                 case 'PATH_EXPRESSION':
                     // Derefernce the exp[0] value now so that we do not need
                     // to do it in the renderer.
-                    newTokenStream.push(Object.assign({}, token, { exp: token.exp[0] }));
+                    newTokenStream.push(Object.assign({}, token, {
+                        exp: token.exp[0],
+                        escape: htmlContext ? createContextEscaper(htmlContext.getEscapeContext()) : escapeValue,
+                    }));
+                    insertValue();
                     break;
                 case 'HELPER_EXPRESSION':
+                    newTokenStream.push(Object.assign({}, token, {
+                        type: 'HELPER_FUNCTION',
+                        render: createHelperRenderer(token),
+                    }));
+                    insertValue();
+                    break;
                 case 'BLOCK_OPEN':
                     newTokenStream.push(Object.assign({}, token, {
                         type: 'HELPER_FUNCTION',
@@ -34,7 +94,18 @@ export default function createRenderFunction(options, helpers, partials, tokens)
                         type: 'PARTIAL_FUNCTION',
                         render: createPartialRenderer(token),
                     }));
+                    insertValue();
+                    break;
+                case 'BLOCK':
+                    newTokenStream.push(Object.assign({}, token, {
+                        type: 'BLOCK_FUNCTION',
+                        render: createBlockRenderer(token),
+                    }));
                     break;
+                case 'EXTENDS':
+                    // A template which extends a layout only renders the layout; anything
+                    // outside of the overriding blocks is ignored.
+                    return createExtendsRenderer(token);
             }
         }
 
@@ -43,37 +114,10 @@ export default function createRenderFunction(options, helpers, partials, tokens)
 
     function createHelperRenderer(expressionToken) {
         const helperName = expressionToken.exp[0].path[0];
-        const helperFunction = helpers.get(helperName);
+        const helperFunction = getHelper(helpers, expressionToken);
         const openToken = expressionToken.tokens[0];
 
-        if (!helperFunction) {
-            throw new LineSyntaxError(
-                `No helper named "${ helperName }" in "${ openToken.filename }" on line ${ openToken.lineNumber }`,
-                openToken
-            );
-        }
-
-        // Isolate the rest of the expression values.
-        const rest = expressionToken.exp.slice(1);
-
-        const positionalArguments = [];
-        const namedArguments = {};
-        let blockParams = [];
-
-        for (const t of rest) {
-            switch (t.type) {
-                case 'PATH':
-                case 'LITERAL':
-                    positionalArguments.push(t);
-                    break;
-                case 'KEY_VALUE':
-                    namedArguments[t.key] = t.value;
-                    break;
-                case 'BLOCK_PARAMS':
-                    blockParams = t.params;
-                    break;
-            }
-        }
+        const { positionalArguments, namedArguments, blockParams } = prepareHelperArguments(expressionToken.exp, openToken);
 
         function noopRender() {
             return '';
@@ -83,21 +127,7 @@ export default function createRenderFunction(options, helpers, partials, tokens)
         let renderInverse = noopRender;
 
         if (expressionToken.children && expressionToken.children.length > 0) {
-            const renderTokens = [];
-            // Inverse render tokens are used to create an inverse render function in
-            // the if ... else ... scenario.
-            const inverseRenderTokens = [];
-            let inElse = false;
-
-            for (const t of expressionToken.children) {
-                if (inElse) {
-                    inverseRenderTokens.push(t);
-                } else if (t.type === 'ELSE') {
-                    inElse = true;
-                } else {
-                    renderTokens.push(t);
-                }
-            }
+            const [ renderTokens, inverseRenderTokens ] = splitInverseChildren(expressionToken.children);
 
             if (renderTokens.length > 0) {
                 renderPrimary = createRenderer(renderTokens);
@@ -107,102 +137,425 @@ export default function createRenderFunction(options, helpers, partials, tokens)
             }
         }
 
-        return function renderHelper(context) {
+        function createHelperError(cause) {
+            return toHelperError(helperName, openToken, cause);
+        }
 
-            const positionalArgs = positionalArguments.map(mapArgument);
+        return function renderHelper(context, state) {
 
-            const namedArgs = Object.keys(namedArguments).reduce((hash, key) => {
-                hash[key] = mapArgument(namedArguments[key]);
-                return hash;
-            }, {});
+            const positionalArgs = positionalArguments.map((arg) => {
+                return evaluateArgument(context, arg, state, openToken);
+            });
 
-            function mapArgument(arg) {
-                if (arg.type === 'LITERAL') {
-                    return arg.value;
+            const namedArgs = evaluateNamedArguments(context, namedArguments, state, openToken);
+
+            // In async rendering the output of a block may still be waiting on promises, but
+            // helpers are given strings. The helper is given a placeholder in its place, which
+            // is replaced with the output of the block in the output of the helper. Helpers
+            // which change the output of their blocks await the placeholder instead.
+            const placeholderKey = state.async ? createPlaceholderKey() : null;
+            const pendingOutputs = [];
+
+            function renderBlock(renderFunction, newContext, scopeOptions) {
+                // The new context should be in the nearest scope closure, but the template
+                // still has access to values in upper scopes as long as those values are not
+                // shadowed (just like in JavaScript)
+                const scopeContext = Object.assign({}, context, newContext);
+                const output = renderFunction(scopeContext, enterScope(state, context, newContext, scopeContext, scopeOptions));
+
+                if (output instanceof DeferredOutput) {
+                    return createPlaceholder(placeholderKey, pendingOutputs, output);
                 }
-                return dereferencePath(context, arg.path);
+
+                return output;
             }
 
             const thisHelperContext = {
 
                 blockParams,
 
-                renderPrimary(newContext) {
-                    // The new context should be in the nearest scope closure, but the template
-                    // still has access to values in upper scopes as long as those values are not
-                    // shadowed (just like in JavaScript)
-                    return renderPrimary(Object.assign({}, context, newContext));
+                renderPrimary(newContext, scopeOptions) {
+                    return renderBlock(renderPrimary, newContext, scopeOptions);
                 },
 
-                renderInverse(newContext) {
-                    // The new context should be in the nearest scope closure, but the template
-                    // still has access to values in upper scopes as long as those values are not
-                    // shadowed (just like in JavaScript)
-                    return renderInverse(Object.assign({}, context, newContext));
+                renderInverse(newContext, scopeOptions) {
+                    return renderBlock(renderInverse, newContext, scopeOptions);
                 },
             };
 
-            let output = '';
-            try {
-                output = helperFunction.call(thisHelperContext, context, namedArgs, ...positionalArgs);
-            } catch (cause) {
-                const errorData = Object.assign({ cause }, openToken);
+            function callHelper(positionals, named) {
+                let output;
+                try {
+                    output = helperFunction.call(thisHelperContext, context, named, ...positionals);
+                } catch (cause) {
+                    throw createHelperError(cause);
+                }
 
-                throw new LineSyntaxError(
-                    `Error in helper "${ helperName }" in "${ openToken.filename }" on line ${ openToken.lineNumber }`,
-                    errorData
+                if (state.async && isThenable(output)) {
+                    return deferOutput(Promise.resolve(output).then((result) => {
+                        return insertPlaceholderOutput(result, placeholderKey, pendingOutputs);
+                    }).catch((cause) => {
+                        throw createHelperError(cause);
+                    }));
+                }
+
+                try {
+                    return insertPlaceholderOutput(output, placeholderKey, pendingOutputs);
+                } catch (cause) {
+                    throw createHelperError(cause);
+                }
+            }
+
+            // When any of the arguments are still pending, the helper is not
+            // called until they have all been resolved.
+            if (state.async && hasPendingArguments(positionalArgs, namedArgs)) {
+                const promise = Promise.all([
+                    Promise.all(positionalArgs),
+                    resolveNamedArguments(namedArgs),
+                ]).then(
+                    ([ positionals, named ]) => callHelper(positionals, named),
+                    (cause) => {
+                        throw createHelperError(cause);
+                    }
                 );
+
+                return deferOutput(promise);
             }
 
-            return output;
+            return callHelper(positionalArgs, namedArgs);
         };
     }
 
     function createPartialRenderer(expressionToken) {
         const openToken = expressionToken.tokens[0];
-        const partialName = expressionToken.exp;
+        const partialName = expressionToken.name;
+        const partialArguments = parsePartialArguments(expressionToken.exp);
+        const contextArgument = partialArguments.contextArgument && prepareArgument(partialArguments.contextArgument, openToken);
+        const namedArguments = partialArguments.namedArguments && prepareNamedArguments(partialArguments.namedArguments, openToken);
+        const { indent } = expressionToken;
+
+        // A standalone partial is indented to match the line it was included on.
+        function indentOutput(output) {
+            if (!indent) {
+                return output;
+            }
+            if (output instanceof DeferredOutput) {
+                return deferOutput(resolveOutput(output).then((resolved) => indentLines(resolved, indent)));
+            }
+            return indentLines(output, indent);
+        }
 
-        return function renderPartial(context) {
-            if (!partials.has(partialName)) {
-                throw new LineSyntaxError(
-                    `No partial named "${ partialName }" in "${ openToken.filename }" on line ${ openToken.lineNumber }`,
-                    openToken
-                );
+        // Errors from inside the partial, including the rejections of its pending output,
+        // are given a frame for this include.
+        function throwWithFrame(error) {
+            throw addIncludeFrame(error, partialName, openToken);
+        }
+
+        function renderIncluded(partial, scopeContext, partialState) {
+            try {
+                return catchOutput(partial(scopeContext, partialState), throwWithFrame);
+            } catch (error) {
+                throw addIncludeFrame(error, partialName, openToken);
+            }
+        }
+
+        // Get the partial and the context it is rendered with. When the partial or its
+        // arguments are still pending, the partial is rendered once they have resolved.
+        function preparePartial(context, state) {
+            const partial = getPartial(options, partials, partialName, openToken, state);
+
+            // A positional argument replaces the caller context, and key/value
+            // arguments are merged on top of whichever context is used.
+            const partialContext = contextArgument ? evaluateArgument(context, contextArgument, state, openToken) : context;
+            const namedArgs = namedArguments ? evaluateNamedArguments(context, namedArguments, state, openToken) : null;
+
+            if (state.async && (isThenable(partial) || hasPendingArguments([ partialContext ], namedArgs || {}))) {
+                const promise = Promise.all([
+                    partial,
+                    partialContext,
+                    namedArgs ? resolveNamedArguments(namedArgs) : null,
+                ]).then(([ resolvedPartial, resolvedContext, resolvedNamedArgs ]) => {
+                    const ctx = resolvedNamedArgs ? Object.assign({}, resolvedContext, resolvedNamedArgs) : resolvedContext;
+                    return renderIncluded(resolvedPartial, ctx, createPartialState(state, context, ctx));
+                });
+
+                return { pendingOutput: indentOutput(deferOutput(promise)) };
+            }
+
+            const scopeContext = namedArgs ? Object.assign({}, partialContext, namedArgs) : partialContext;
+
+            return { partial, scopeContext, partialState: createPartialState(state, context, scopeContext) };
+        }
+
+        function renderPartial(context, state) {
+            const { pendingOutput, partial, scopeContext, partialState } = preparePartial(context, state);
+
+            if (pendingOutput) {
+                return pendingOutput;
+            }
+
+            return indentOutput(renderIncluded(partial, scopeContext, partialState));
+        }
+
+        // Partials are streamed along with the template which includes them. Indented
+        // partials need all of their output to indent it, so they are sent whole.
+        renderPartial.stream = function* streamPartial(context, state) {
+            const { pendingOutput, partial, scopeContext, partialState } = preparePartial(context, state);
+
+            if (pendingOutput) {
+                yield pendingOutput;
+                return;
             }
 
-            const partial = partials.get(partialName);
-            return partial(context);
+            if (indent) {
+                yield indentOutput(renderIncluded(partial, scopeContext, partialState));
+                return;
+            }
+
+            try {
+                for (const output of streamRenderOutput(partial, scopeContext, partialState)) {
+                    yield catchOutput(output, throwWithFrame);
+                }
+            } catch (error) {
+                throw addIncludeFrame(error, partialName, openToken);
+            }
+        };
+
+        return renderPartial;
+    }
+
+    function createExtendsRenderer(extendsToken) {
+        const ownBlocks = new Map();
+
+        for (const t of extendsToken.children) {
+            if (t.type === 'BLOCK') {
+                ownBlocks.set(t.name, createRenderer(t.children));
+            }
+        }
+
+        return createLayoutRenderer(options, partials, extendsToken, ownBlocks);
+    }
+
+    function createBlockRenderer(blockToken) {
+        const blockName = blockToken.name;
+        const renderDefault = createRenderer(blockToken.children);
+
+        function getBlockRenderer(state) {
+            if (state.blocks && state.blocks.has(blockName)) {
+                return state.blocks.get(blockName);
+            }
+            return renderDefault;
+        }
+
+        function renderBlock(context, state) {
+            return getBlockRenderer(state)(context, state);
+        }
+
+        renderBlock.stream = function* streamBlock(context, state) {
+            yield* streamRenderOutput(getBlockRenderer(state), context, state);
         };
+
+        return renderBlock;
     }
 
     function createScopedRenderer(parts) {
 
-        return function renderContext(context) {
+        function renderPart(part, context, state) {
+            switch (part.type) {
+                case 'CONTENT':
+                    return part.str;
+                case 'PATH_EXPRESSION': {
+                    const value = evaluateArgument(context, part.exp, state, part.tokens[0]);
+
+                    if (state.async && isThenable(value)) {
+                        return deferOutput(deferPathExpression(part, value));
+                    }
+                    return part.raw ? value : part.escape(value);
+                }
+                default:
+                    // HELPER_FUNCTION, BLOCK_FUNCTION and PARTIAL_FUNCTION
+                    return part.render(context, state);
+            }
+        }
+
+        function renderContext(context, state) {
+            const sourceMapFrame = state.sourceMap ? state.sourceMap.enter() : null;
             let output = '';
 
             for (const part of parts) {
-                switch (part.type) {
-                    case 'CONTENT':
-                        output += part.str;
-                        break;
-                    case 'PATH_EXPRESSION': {
-                        output += escapeHTMLChars(dereferencePath(context, part.exp.path));
-                        break;
-                    }
-                    case 'HELPER_FUNCTION':
-                    case 'PARTIAL_FUNCTION':
-                        output += part.render(context);
-                        break;
+                const start = output.length;
+
+                output = appendOutput(output, renderPart(part, context, state));
+
+                if (sourceMapFrame) {
+                    state.sourceMap.record(sourceMapFrame, part, start, output);
                 }
             }
 
+            if (sourceMapFrame) {
+                state.sourceMap.exit(sourceMapFrame, output);
+            }
+
             return output;
+        }
+
+        // Yield the output as it is rendered. Content and values are sent on together, and
+        // the output so far is sent before each helper or partial is called, which may be slow.
+        renderContext.stream = function* streamContext(context, state) {
+            let buffer = '';
+
+            for (const part of parts) {
+                if (part.type === 'CONTENT' || part.type === 'PATH_EXPRESSION') {
+                    const output = renderPart(part, context, state);
+
+                    if (output instanceof DeferredOutput) {
+                        yield buffer;
+                        yield output;
+                        buffer = '';
+                    } else {
+                        buffer += output;
+                    }
+                } else {
+                    yield buffer;
+                    buffer = '';
+                    yield* streamRenderOutput(part.render, context, state);
+                }
+            }
+
+            yield buffer;
         };
+
+        return renderContext;
+    }
+
+    function deferPathExpression(part, promise) {
+        const openToken = part.tokens[0];
+
+        return promise.then(
+            (value) => {
+                return part.raw ? value : part.escape(value);
+            },
+            (cause) => {
+                // Missing paths in strict mode are reported as they are.
+                if (cause instanceof LineSyntaxError) {
+                    throw cause;
+                }
+                throw new LineSyntaxError(
+                    `Error resolving "${ part.exp.pathString }" in "${ openToken.filename }" on line ${ openToken.lineNumber }`,
+                    Object.assign({ code: 'PATH_RESOLUTION_ERROR', cause }, openToken)
+                );
+            }
+        );
+    }
+
+    function insertValue() {
+        if (htmlContext) {
+            htmlContext.insertValue();
+        }
+    }
+
+    function prepareHelperArguments(exp, openToken) {
+        const { positionalArguments, namedArguments, blockParams } = parseHelperArguments(exp);
+
+        return {
+            positionalArguments: positionalArguments.map((arg) => prepareArgument(arg, openToken)),
+            namedArguments: prepareNamedArguments(namedArguments, openToken),
+            blockParams,
+        };
+    }
+
+    // Subexpression helpers are looked up when the template is compiled, like other helpers.
+    function prepareArgument(arg, openToken) {
+        if (arg.type !== 'SUBEXPRESSION') {
+            return arg;
+        }
+
+        const helperName = arg.exp[0].path[0];
+        const helperFunction = getHelper(helpers, { exp: arg.exp, tokens: [ openToken ] });
+
+        return Object.assign({ helperName, helperFunction }, arg, prepareHelperArguments(arg.exp, openToken));
+    }
+
+    function prepareNamedArguments(namedArguments, openToken) {
+        return Object.keys(namedArguments).reduce((hash, key) => {
+            hash[key] = prepareArgument(namedArguments[key], openToken);
+            return hash;
+        }, {});
+    }
+
+    // A subexpression is a helper call which returns a value rather than output, so in
+    // async mode its result may be a promise which the outer helper waits for.
+    function evaluateSubexpression(context, arg, state, openToken) {
+        const { helperName, helperFunction } = arg;
+
+        const positionalArgs = arg.positionalArguments.map((subArg) => {
+            return evaluateArgument(context, subArg, state, openToken);
+        });
+
+        const namedArgs = evaluateNamedArguments(context, arg.namedArguments, state, openToken);
+
+        function callHelper(positionals, named) {
+            try {
+                return helperFunction.call(SUBEXPRESSION_HELPER_CONTEXT, context, named, ...positionals);
+            } catch (cause) {
+                throw toHelperError(helperName, openToken, cause);
+            }
+        }
+
+        if (state.async && hasPendingArguments(positionalArgs, namedArgs)) {
+            return Promise.all([
+                Promise.all(positionalArgs),
+                resolveNamedArguments(namedArgs),
+            ]).then(([ positionals, named ]) => callHelper(positionals, named));
+        }
+
+        const output = callHelper(positionalArgs, namedArgs);
+
+        if (state.async && isThenable(output)) {
+            return Promise.resolve(output).catch((cause) => {
+                throw toHelperError(helperName, openToken, cause);
+            });
+        }
+
+        return output;
+    }
+
+    function evaluateArgument(context, arg, state, openToken) {
+        if (arg.type === 'LITERAL') {
+            return arg.value;
+        }
+        if (arg.type === 'SUBEXPRESSION') {
+            return evaluateSubexpression(context, arg, state, openToken);
+        }
+        // Check for helpers by this name before checking the context. Helper names always
+        // have a path length of 1 (they are not nested).
+        if (!arg.scope && arg.path.length === 1 && helpers.has(arg.path[0])) {
+            return helpers.get(arg.path[0]);
+        }
+
+        // Paths are only checked in strict mode when they are not marked optional.
+        const strictToken = isStrict && !arg.optional ? openToken : null;
+        return dereferencePath(getScopeContext(context, state, arg), arg, state, strictToken);
+    }
+
+    function evaluateNamedArguments(context, namedArguments, state, openToken) {
+        return Object.keys(namedArguments).reduce((hash, key) => {
+            hash[key] = evaluateArgument(context, namedArguments[key], state, openToken);
+            return hash;
+        }, {});
     }
 
     // Get a value by walking the JavaScript context object tree using
-    // a path (already separated into parts as an Array)
-    function dereferencePath(val, path, level = 0) {
+    // a path node (with the path already separated into parts as an Array)
+    function dereferencePath(val, pathNode, state, strictToken = null, level = 0) {
+        const { path } = pathNode;
+
+        // In async mode a promise anywhere along the path is followed once it resolves.
+        if (state && state.async && isThenable(val)) {
+            return Promise.resolve(val).then((resolved) => {
+                return dereferencePath(resolved, pathNode, state, strictToken, level);
+            });
+        }
 
         // If this is the last part of the path (leaf node), then return the value.
         if (level === path.length) {
@@ -212,15 +565,411 @@ export default function createRenderFunction(options, helpers, partials, tokens)
             return val;
         }
 
-        // Check for helpers by this name before checking the context. Helper names always
-        // have a path length of 1 (they are not nested).
-        if (path.length === 1 && helpers.has(path[0])) {
-            return helpers.get(path[0]);
+        const key = path[level];
+        const next = (val || {})[key];
+
+        if (strictToken && typeof next === 'undefined') {
+            throw createMissingPathError(pathNode, level, val, strictToken);
         }
 
-        const key = path[level];
-        return dereferencePath((val || {})[key], path, level + 1);
+        return dereferencePath(next, pathNode, state, strictToken, level + 1);
+    }
+
+    const renderTemplate = createRenderer(tokens);
+
+    async function renderAsync(context) {
+        const output = renderTemplate(context, createRenderState(context, true));
+        return resolveOutput(output);
+    }
+
+    function renderWithSourceMap(context) {
+        const sourceMap = new SourceMapRecorder();
+        const output = renderTemplate(context, createRenderState(context, false, sourceMap));
+        const ranges = sourceMap.getRanges(output);
+
+        return {
+            output,
+            ranges,
+            sourceMap: createSourceMap(output, ranges),
+        };
+    }
+
+    function render(context, state) {
+        // The state is passed along when this template is rendered as a partial or
+        // layout of another template, and is shared through the whole render.
+        if (state) {
+            return renderTemplate(context, state);
+        }
+        if (isAsync) {
+            return renderAsync(context);
+        }
+        if (isSourceMap) {
+            return renderWithSourceMap(context);
+        }
+        return renderTemplate(context, createRenderState(context, false));
+    }
+
+    // Streaming renders the template with a state from streamRender().
+    render.stream = renderTemplate.stream;
+
+    return render;
+}
+
+// The state shared through a render. The scope is a chain of the contexts blocks have been
+// rendered with, which is used to look up paths like "this", "../name" and "@root.name".
+// In async rendering the output may be DeferredOutput which is still waiting on promises.
+export function createRenderState(context, isAsync, sourceMap = null) {
+    return {
+        blocks: null,
+        async: Boolean(isAsync),
+        sourceMap,
+        root: context,
+        scope: { context, self: undefined, data: undefined, parent: null },
+    };
+}
+
+// A helper which renders a block with a new context starts a new scope. Helpers like
+// "#if" which render with the same context do not. The scope options can give the
+// value of "this" and the "@" data variables in the new scope.
+export function enterScope(state, context, newContext, scopeContext, scopeOptions) {
+    const self = scopeOptions ? scopeOptions.self : undefined;
+    const data = scopeOptions ? scopeOptions.data : undefined;
+
+    if ((!newContext || newContext === context) && typeof self === 'undefined' && !data) {
+        return state;
+    }
+
+    return Object.assign({}, state, {
+        scope: {
+            context: scopeContext,
+            self,
+            // Data variables from outer blocks are available unless they are shadowed.
+            data: data ? Object.assign({}, state.scope.data, data) : state.scope.data,
+            parent: state.scope,
+        },
+    });
+}
+
+// Partials do not take part in layout inheritance, so blocks are not passed along. A
+// partial which is given a context argument starts a new scope.
+export function createPartialState(state, context, partialContext) {
+    const scope = partialContext === context
+        ? state.scope
+        : { context: partialContext, self: undefined, data: state.scope.data, parent: state.scope };
+
+    return Object.assign({}, state, { blocks: null, scope });
+}
+
+// Get the context a path is looked up in, which depends on the path scope.
+export function getScopeContext(context, state, pathNode) {
+    switch (pathNode.scope) {
+        case 'this':
+            return typeof state.scope.self === 'undefined' ? context : state.scope.self;
+        case 'root':
+            return state.root;
+        case 'data':
+            return state.scope.data;
+        case 'parent': {
+            let scope = state.scope;
+            for (let i = 0; i < pathNode.depth && scope; i += 1) {
+                scope = scope.parent;
+            }
+            return scope ? scope.context : undefined;
+        }
+        default:
+            return context;
+    }
+}
+
+// Render the layout a template extends, passing along the blocks which override it.
+export function createLayoutRenderer(options, partials, extendsToken, ownBlocks) {
+    const openToken = extendsToken.tokens[0];
+    const layoutName = extendsToken.name;
+
+    // Blocks passed up from templates which extend this one take
+    // precedence over the blocks defined here.
+    function getLayoutState(state) {
+        const mergedBlocks = new Map(ownBlocks);
+        if (state.blocks) {
+            for (const [ name, render ] of state.blocks) {
+                mergedBlocks.set(name, render);
+            }
+        }
+
+        return Object.assign({}, state, { blocks: mergedBlocks });
+    }
+
+    function deferLayout(layout, context, layoutState) {
+        return deferOutput(layout.then((resolvedLayout) => {
+            return resolvedLayout(context, layoutState);
+        }));
     }
 
-    return createRenderer(tokens);
+    function renderExtends(context, state) {
+        const layout = getPartial(options, partials, layoutName, openToken, state);
+        const layoutState = getLayoutState(state);
+
+        if (state.async && isThenable(layout)) {
+            return deferLayout(layout, context, layoutState);
+        }
+
+        return layout(context, layoutState);
+    }
+
+    renderExtends.stream = function* streamExtends(context, state) {
+        const layout = getPartial(options, partials, layoutName, openToken, state);
+        const layoutState = getLayoutState(state);
+
+        if (state.async && isThenable(layout)) {
+            yield deferLayout(layout, context, layoutState);
+        } else {
+            yield* streamRenderOutput(layout, context, layoutState);
+        }
+    };
+
+    return renderExtends;
+}
+
+// Render with the stream() generator of a render function when it has one, so that output
+// reaches the consumer as it is rendered, or else yield all of the output at once.
+export function* streamRenderOutput(render, context, state) {
+    if (typeof render.stream === 'function') {
+        yield* render.stream(context, state);
+    } else {
+        yield render(context, state);
+    }
+}
+
+// Get a helper function for a helper expression or block when the template is compiled.
+export function getHelper(helpers, expressionToken) {
+    const helperName = expressionToken.exp[0].path[0];
+    const openToken = expressionToken.tokens[0];
+
+    if (!helpers.has(helperName)) {
+        throw new LineSyntaxError(
+            `No helper named "${ helperName }" in "${ openToken.filename }" on line ${ openToken.lineNumber }`,
+            Object.assign({ code: 'UNKNOWN_HELPER' }, openToken)
+        );
+    }
+
+    return helpers.get(helperName);
+}
+
+// Name the segment of a path which is missing from the context in strict mode.
+export function createMissingPathError(pathNode, level, parent, openToken) {
+    const { path } = pathNode;
+    const prefix = getScopePrefix(pathNode);
+    const pathString = prefix + path.join('.');
+    const segment = path[level];
+    const parentPath = prefix + path.slice(0, level).join('.');
+
+    let reason;
+    if (level === 0) {
+        reason = `\`${ prefix }${ segment }\` does not exist`;
+    } else if (parent === null || typeof parent === 'undefined') {
+        reason = `\`${ parentPath }\` is ${ parent } so \`${ segment }\` does not exist`;
+    } else {
+        reason = `\`${ parentPath }\` exists but \`${ segment }\` does not`;
+    }
+
+    return new LineSyntaxError(
+        `Missing "${ pathString }" in "${ openToken.filename }" on line ${ openToken.lineNumber }; ${ reason }`,
+        Object.assign({ code: 'MISSING_PATH' }, openToken)
+    );
+}
+
+function getScopePrefix(pathNode) {
+    switch (pathNode.scope) {
+        case 'this':
+            return 'this.';
+        case 'root':
+            return '@root.';
+        case 'data':
+            return '@';
+        case 'parent':
+            return '../'.repeat(pathNode.depth);
+        default:
+            return '';
+    }
+}
+
+// Errors thrown while rendering a partial record where the partial was included, so
+// that errors in shared partials can be traced back to the template which used them.
+export function addIncludeFrame(error, partialName, openToken) {
+    if (error instanceof LineSyntaxError) {
+        error.addIncludeFrame(partialName, openToken);
+    }
+    return error;
+}
+
+// Errors thrown by a helper are reported with the helper location. Errors which
+// already have a template location, like errors in nested blocks, are passed on as they are,
+// and so are context validation errors from partials rendered in nested blocks.
+export function toHelperError(helperName, openToken, cause) {
+    if (cause instanceof LineSyntaxError || cause instanceof ContextValidationError) {
+        return cause;
+    }
+    return new LineSyntaxError(
+        `Error in helper "${ helperName }" in "${ openToken.filename }" on line ${ openToken.lineNumber }`,
+        Object.assign({ code: 'HELPER_ERROR', cause }, openToken)
+    );
+}
+
+export function parseHelperArguments(exp) {
+    const positionalArguments = [];
+    const namedArguments = {};
+    let blockParams = [];
+
+    // The first expression value is the helper name.
+    for (const t of exp.slice(1)) {
+        switch (t.type) {
+            case 'PATH':
+            case 'LITERAL':
+            case 'SUBEXPRESSION':
+                positionalArguments.push(t);
+                break;
+            case 'KEY_VALUE':
+                namedArguments[t.key] = t.value;
+                break;
+            case 'BLOCK_PARAMS':
+                blockParams = t.params;
+                break;
+        }
+    }
+
+    return { positionalArguments, namedArguments, blockParams };
+}
+
+export function parsePartialArguments(exp) {
+    let contextArgument = null;
+    let namedArguments = null;
+
+    for (const t of exp) {
+        switch (t.type) {
+            case 'PATH':
+            case 'LITERAL':
+            case 'SUBEXPRESSION':
+                contextArgument = t;
+                break;
+            case 'KEY_VALUE':
+                namedArguments = namedArguments || {};
+                namedArguments[t.key] = t.value;
+                break;
+        }
+    }
+
+    return { contextArgument, namedArguments };
+}
+
+// Split the children of a block at the "else" tag. The inverse children are used
+// to create an inverse render function in the if ... else ... scenario.
+export function splitInverseChildren(children) {
+    const renderTokens = [];
+    const inverseRenderTokens = [];
+    let inElse = false;
+
+    for (const t of children) {
+        if (inElse) {
+            inverseRenderTokens.push(t);
+        } else if (t.type === 'ELSE') {
+            inElse = true;
+        } else {
+            renderTokens.push(t);
+        }
+    }
+
+    return [ renderTokens, inverseRenderTokens ];
+}
+
+export function getPartial(options, partials, partialName, openToken, state) {
+    if (partials.has(partialName)) {
+        return partials.get(partialName);
+    }
+
+    function createMissingPartialError() {
+        return new LineSyntaxError(
+            `No partial named "${ partialName }" in "${ openToken.filename }" on line ${ openToken.lineNumber }`,
+            Object.assign({ code: 'UNKNOWN_PARTIAL' }, openToken)
+        );
+    }
+
+    // Give the caller a chance to find and compile the partial on demand. The
+    // including filename is passed along so relative names can be resolved.
+    if (options && typeof options.resolvePartial === 'function') {
+        const partial = options.resolvePartial(partialName, openToken.filename);
+
+        if (isThenable(partial)) {
+            if (!state.async) {
+                throw new LineSyntaxError(
+                    `The partial "${ partialName }" in "${ openToken.filename }" on line ${ openToken.lineNumber } is loaded asynchronously and requires async rendering`,
+                    Object.assign({ code: 'ASYNC_PARTIAL' }, openToken)
+                );
+            }
+
+            return Promise.resolve(partial).then(
+                (resolvedPartial) => {
+                    if (!resolvedPartial) {
+                        throw createMissingPartialError();
+                    }
+                    return resolvedPartial;
+                },
+                (cause) => {
+                    throw new LineSyntaxError(
+                        `Error loading partial "${ partialName }" in "${ openToken.filename }" on line ${ openToken.lineNumber }`,
+                        Object.assign({ code: 'PARTIAL_LOAD_ERROR', cause }, openToken)
+                    );
+                }
+            );
+        }
+
+        if (partial) {
+            return partial;
+        }
+    }
+
+    throw createMissingPartialError();
+}
+
+function hasPendingArguments(positionalArgs, namedArgs) {
+    return positionalArgs.some(isThenable) || Object.values(namedArgs).some(isThenable);
+}
+
+async function resolveNamedArguments(namedArgs) {
+    const keys = Object.keys(namedArgs);
+    const values = await Promise.all(keys.map((key) => namedArgs[key]));
+
+    return keys.reduce((hash, key, index) => {
+        hash[key] = values[index];
+        return hash;
+    }, {});
+}
+
+// When escaping HTML with options.contextualEscaping, track the HTML context around each
+// expression so that each one can be given the correct escaper. The tree is compiled in
+// document order.
+export function createHTMLContext(options, escapeValue, filename) {
+    if (escapeValue !== escapeHTMLChars || !(options && options.contextualEscaping)) {
+        return null;
+    }
+    return new HTMLContext(filename);
+}
+
+// The escape strategy is given by name or as a function in options.escape. When it
+// is not given, it is chosen by the template filename extension.
+export function getEscapeStrategy(options, filename) {
+    let strategy = options && options.escape;
+
+    if (!strategy) {
+        const extensions = Object.assign({}, DEFAULT_ESCAPE_EXTENSIONS, options && options.escapeExtensions);
+        const match = /\.[^./]+$/.exec(filename || '');
+        strategy = (match && extensions[match[0].toLowerCase()]) || 'html';
+    }
+
+    if (typeof strategy === 'function') {
+        return strategy;
+    }
+    if (!escapers.has(strategy)) {
+        throw new Error(`Unknown escape strategy "${ strategy }"`);
+    }
+    return escapers.get(strategy);
 }
@@ -0,0 +1,122 @@
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+
+// Create a version 3 source map from the ranges recorded by a SourceMapRecorder. Each
+// position in the output is mapped to the innermost range around it, so text written
+// by a helper maps to the helper tag while the content of its block maps to the block.
+export default function createSourceMap(output, ranges) {
+    const sources = [];
+    const segments = [];
+
+    function addSegment(offset, range) {
+        let sourceIndex = sources.indexOf(range.filename);
+        if (sourceIndex === -1) {
+            sourceIndex = sources.length;
+            sources.push(range.filename);
+        }
+
+        const last = segments[segments.length - 1];
+        const segment = { offset, sourceIndex, line: range.lineNumber - 1, column: range.startPosition };
+
+        // A range which starts where another one ends replaces the segment for the outer range.
+        if (last && last.offset === offset) {
+            segments[segments.length - 1] = segment;
+        } else {
+            segments.push(segment);
+        }
+    }
+
+    // The ranges are sorted with outer ranges first, so they can be walked with a stack.
+    const stack = [];
+
+    function closeRangesBefore(offset) {
+        while (stack.length > 0 && stack[stack.length - 1].end <= offset) {
+            const closed = stack.pop();
+            // Output after a nested range maps back to the range around it.
+            if (stack.length > 0 && closed.end < stack[stack.length - 1].end) {
+                addSegment(closed.end, stack[stack.length - 1]);
+            }
+        }
+    }
+
+    for (const range of ranges) {
+        closeRangesBefore(range.start);
+        addSegment(range.start, range);
+        stack.push(range);
+    }
+
+    closeRangesBefore(Infinity);
+
+    return {
+        version: 3,
+        sources,
+        names: [],
+        mappings: encodeMappings(output, segments),
+    };
+}
+
+function encodeMappings(output, segments) {
+    const lines = [];
+    let lineStart = 0;
+    let lineEnd = output.indexOf('\n');
+    let segmentIndex = 0;
+
+    // Source fields are relative to the previous segment in the whole map.
+    let previousSource = 0;
+    let previousLine = 0;
+    let previousColumn = 0;
+
+    while (lineStart <= output.length) {
+        const end = lineEnd === -1 ? output.length + 1 : lineEnd + 1;
+        const encoded = [];
+        // The generated column is relative to the previous segment on the same line.
+        let previousGeneratedColumn = 0;
+
+        while (segmentIndex < segments.length && segments[segmentIndex].offset < end) {
+            const { offset, sourceIndex, line, column } = segments[segmentIndex];
+            const generatedColumn = offset - lineStart;
+
+            encoded.push([
+                generatedColumn - previousGeneratedColumn,
+                sourceIndex - previousSource,
+                line - previousLine,
+                column - previousColumn,
+            ].map(encodeVLQ).join(''));
+
+            previousGeneratedColumn = generatedColumn;
+            previousSource = sourceIndex;
+            previousLine = line;
+            previousColumn = column;
+            segmentIndex += 1;
+        }
+
+        lines.push(encoded.join(','));
+
+        if (lineEnd === -1) {
+            break;
+        }
+
+        lineStart = lineEnd + 1;
+        lineEnd = output.indexOf('\n', lineStart);
+    }
+
+    return lines.join(';');
+}
+
+// Base64 variable length quantity, with the sign in the lowest bit and 5 bits per digit.
+function encodeVLQ(value) {
+    let vlq = value < 0 ? (-value * 2) + 1 : value * 2;
+    let encoded = '';
+
+    do {
+        let digit = vlq % 32;
+        vlq = Math.floor(vlq / 32);
+        // The sixth bit marks that more digits follow.
+        if (vlq > 0) {
+            digit += 32;
+        }
+        encoded += BASE64_DIGITS[digit];
+    } while (vlq > 0);
+
+    return encoded;
+}
@@ -0,0 +1,12 @@
+import createRenderFunction from './create-render-function.js';
+import streamRender from './stream-render.js';
+
+
+// Create a render function which returns an async iterator of string chunks.
+export default function createStreamRenderFunction(options, helpers, partials, tokens) {
+    const render = createRenderFunction(options, helpers, partials, tokens);
+
+    return function renderStream(context) {
+        return streamRender(render, context);
+    };
+}
@@ -0,0 +1,148 @@
+function noop() {}
+
+
+// Output of an async render which is still waiting on promises. It is an ordered list of
+// strings and promises for more output. Output which is not ready is kept apart from the
+// strings around it, so that helpers cannot change it and context values cannot be
+// mistaken for it.
+export default class DeferredOutput {
+
+    #parts;
+
+    constructor(parts) {
+        this.#parts = parts;
+    }
+
+    get parts() {
+        return this.#parts;
+    }
+
+    append(output) {
+        this.#parts.push(output);
+        return this;
+    }
+}
+
+// A block helper is given the output of a block which is not ready as a placeholder. It is
+// marker text when it is used as a string, so the output can be put in its place in the
+// output of the helper, and it resolves to the output when it is awaited.
+class OutputPlaceholder extends String {
+
+    #output;
+
+    constructor(marker, output) {
+        super(marker);
+        this.#output = output;
+    }
+
+    then(onResolved, onRejected) {
+        return resolveOutput(this.#output).then(onResolved, onRejected);
+    }
+}
+
+// The markers for the placeholders given to a helper include a random key, so that strings
+// from the context cannot be mistaken for them.
+export function createPlaceholderKey() {
+    return `kx${ Math.random().toString(36).slice(2, 10) }`;
+}
+
+export function createPlaceholder(key, outputs, output) {
+    const marker = `\u0000${ key }:${ outputs.length }\u0000`;
+    outputs.push(output);
+    return new OutputPlaceholder(marker, output);
+}
+
+// Put the output of each placeholder in its place in the output of a helper. A helper which
+// changed a placeholder, rather than awaiting it, would get the marker text in its output.
+export function insertPlaceholderOutput(result, key, outputs) {
+    if (outputs.length === 0 || !(typeof result === 'string' || result instanceof String)) {
+        return result;
+    }
+
+    const pieces = `${ result }`.split(new RegExp(`\u0000${ key }:(\\d+)\u0000`));
+
+    const parts = pieces.map((piece, index) => {
+        if (index % 2 === 1) {
+            return outputs[Number(piece)];
+        }
+        if (piece.toLowerCase().includes(key)) {
+            throw new Error('The output of a block was changed before it was ready; a block helper which changes the output of its blocks must await it, like "await this.renderPrimary()"');
+        }
+        return piece;
+    });
+
+    return parts.length === 1 ? parts[0] : new DeferredOutput(parts);
+}
+
+// Create output from a promise for output. The promise is awaited later, or may never be
+// awaited at all if the output which holds it is discarded, so prevent unhandled rejections.
+export function deferOutput(promise) {
+    promise.catch(noop);
+    return new DeferredOutput([ promise ]);
+}
+
+// Append output to the output of a scope. Strings are concatenated. Once deferred output is
+// appended, the scope output becomes deferred output which collects the rest of the scope,
+// so the output must be a string, or the deferred output returned by appendOutput().
+export function appendOutput(output, addition) {
+    if (output instanceof DeferredOutput) {
+        return output.append(addition);
+    }
+    if (addition instanceof DeferredOutput) {
+        return new DeferredOutput([ output, addition ]);
+    }
+    return output + addition;
+}
+
+// Pass the rejections of the promises in output to a function, which throws the error to
+// reject with instead. The output keeps its order, so it can still be streamed in parts.
+export function catchOutput(output, onRejected) {
+    if (!(output instanceof DeferredOutput)) {
+        return output;
+    }
+
+    return new DeferredOutput(output.parts.map((part) => {
+        if (part instanceof DeferredOutput) {
+            return catchOutput(part, onRejected);
+        }
+        if (typeof part === 'string') {
+            return part;
+        }
+
+        const promise = Promise.resolve(part).then((resolved) => catchOutput(resolved, onRejected), onRejected);
+        promise.catch(noop);
+        return promise;
+    }));
+}
+
+// Resolve output to a string. All of the promises in it are resolved concurrently, and
+// output which they resolve to is resolved in turn.
+export async function resolveOutput(output) {
+    if (!(output instanceof DeferredOutput)) {
+        return toChunk(output);
+    }
+
+    const strings = await Promise.all(output.parts.map(async (part) => resolveOutput(await part)));
+    return strings.join('');
+}
+
+// Yield output in order as string chunks, waiting on each promise as it is reached.
+// Output before the first promise is yielded immediately.
+export async function* streamOutput(output) {
+    if (!(output instanceof DeferredOutput)) {
+        const chunk = toChunk(output);
+        if (chunk) {
+            yield chunk;
+        }
+        return;
+    }
+
+    for (const part of output.parts) {
+        // eslint-disable-next-line no-await-in-loop
+        yield* streamOutput(await part);
+    }
+}
+
+function toChunk(output) {
+    return typeof output === 'string' ? output : `${ output }`;
+}
@@ -0,0 +1,72 @@
+import { escapeHTMLChars, toOutputString } from './utils.js';
+
+
+const XML_ESCAPE_MAP = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;',
+};
+
+const LATEX_ESCAPE_MAP = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    '$': '\\$',
+    '&': '\\&',
+    '#': '\\#',
+    '^': '\\textasciicircum{}',
+    '_': '\\_',
+    '%': '\\%',
+    '~': '\\textasciitilde{}',
+};
+
+// The default escape strategy for templates by filename extension. Templates
+// with other extensions use the "html" strategy.
+export const DEFAULT_ESCAPE_EXTENSIONS = {
+    '.txt': 'none',
+    '.text': 'none',
+    '.json': 'json-string',
+    '.xml': 'xml',
+    '.svg': 'xml',
+    '.rss': 'xml',
+    '.atom': 'xml',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.sh': 'shell',
+    '.tex': 'latex',
+};
+
+export function escapeXML(val) {
+    return toOutputString(val).replace(/[&<>"']/g, (chr) => XML_ESCAPE_MAP[chr]);
+}
+
+// Escape the contents of a JSON string literal; the template supplies the quotes.
+export function escapeJSONString(val) {
+    return JSON.stringify(toOutputString(val)).slice(1, -1);
+}
+
+// Backslash escape ASCII punctuation which has meaning in Markdown.
+export function escapeMarkdown(val) {
+    return toOutputString(val).replace(/[\\`*_{}[\]()#+\-.!|<>~]/g, (chr) => `\\${ chr }`);
+}
+
+// Quote the value as a single argument for POSIX shells.
+export function escapeShell(val) {
+    return `'${ toOutputString(val).replace(/'/g, "'\\''") }'`;
+}
+
+export function escapeLaTeX(val) {
+    return toOutputString(val).replace(/[\\{}$&#^_%~]/g, (chr) => LATEX_ESCAPE_MAP[chr]);
+}
+
+export default new Map([
+    [ 'html', escapeHTMLChars ],
+    [ 'none', toOutputString ],
+    [ 'json-string', escapeJSONString ],
+    [ 'xml', escapeXML ],
+    [ 'markdown', escapeMarkdown ],
+    [ 'shell', escapeShell ],
+    [ 'latex', escapeLaTeX ],
+]);
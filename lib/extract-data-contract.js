@@ -0,0 +1,310 @@
+import builtinHelpers from './helpers/mod.js';
+import { findPartialName } from './utils.js';
+
+
+// Block helpers which only render their primary block when a condition is met.
+const CONDITIONAL_HELPERS = [ 'if', 'ifEmpty', 'ifEqual' ];
+
+// The path segment which stands for each item of an iterated value.
+export const ITEM_SEGMENT = '[]';
+
+
+// Find the context paths a template reads, resolved to paths from the root context. Paths
+// read through block params, "this" and partial context arguments are followed back to the
+// context value they came from; the items of an "#each" block are marked with an "[]" segment.
+// Partials and layouts are followed when a Map of partial names to syntax trees is given.
+export default function extractDataContract(tree, options) {
+    const helpers = (options && options.helpers) || builtinHelpers;
+    const partials = (options && options.partials) || new Map();
+
+    const paths = new Map();
+
+    function addPath(segments, scope, token, usage) {
+        const key = toPathString(segments);
+        let entry = paths.get(key);
+
+        if (!entry) {
+            entry = {
+                path: key,
+                segments,
+                optional: true,
+                iterated: false,
+                blockParams: [],
+                helpers: [],
+                references: [],
+            };
+            paths.set(key, entry);
+        }
+
+        // A path is only optional when every reference to it is optional.
+        entry.optional = entry.optional && (scope.optional || usage.optional);
+        entry.iterated = entry.iterated || Boolean(usage.iterated);
+
+        if (usage.blockParam && !entry.blockParams.includes(usage.blockParam)) {
+            entry.blockParams.push(usage.blockParam);
+        }
+        if (usage.helper && !entry.helpers.includes(usage.helper)) {
+            entry.helpers.push(usage.helper);
+        }
+
+        entry.references.push({ filename: token.filename, lineNumber: token.lineNumber, startPosition: token.startPosition });
+    }
+
+    // Resolve a path node to segments from the root context, or null when it does not refer to the context.
+    function resolvePath(pathNode, scope) {
+        const { path } = pathNode;
+
+        switch (pathNode.scope) {
+            case 'data':
+                return null;
+            case 'root':
+                return path.slice();
+            case 'this': {
+                const self = scope.self || scope.context;
+                return self ? self.concat(path) : null;
+            }
+            case 'parent': {
+                let parent = scope;
+                for (let i = 0; i < pathNode.depth && parent; i += 1) {
+                    parent = parent.parent;
+                }
+                return parent && parent.context ? parent.context.concat(path) : null;
+            }
+        }
+
+        // Helpers are looked up before the context.
+        if (path.length === 1 && helpers.has(path[0])) {
+            return null;
+        }
+
+        for (let current = scope; current; current = current.bindingsParent) {
+            if (current.bindings.has(path[0])) {
+                const bound = current.bindings.get(path[0]);
+                return bound ? bound.concat(path.slice(1)) : null;
+            }
+        }
+
+        return scope.context ? scope.context.concat(path) : null;
+    }
+
+    function addArgument(arg, scope, token, usage) {
+        switch (arg.type) {
+            case 'PATH': {
+                const segments = resolvePath(arg, scope);
+                if (segments) {
+                    addPath(segments, scope, token, Object.assign({}, usage, {
+                        optional: Boolean(arg.optional || usage.optional),
+                        blockParam: getBlockParamName(arg, scope),
+                    }));
+                }
+                break;
+            }
+            case 'KEY_VALUE':
+                addArgument(arg.value, scope, token, usage);
+                break;
+            case 'SUBEXPRESSION':
+                addHelperArguments(arg.exp, scope, token);
+                break;
+        }
+    }
+
+    function addHelperArguments(exp, scope, token) {
+        const helper = exp[0].path[0];
+
+        for (const arg of exp.slice(1)) {
+            addArgument(arg, scope, token, { helper });
+        }
+    }
+
+    function walkBlock(node, scope, includeStack, overriddenBlocks) {
+        const token = node.tokens[0];
+        const helper = node.exp[0].path[0];
+        const isConditional = CONDITIONAL_HELPERS.includes(helper);
+        const blockParams = node.exp.find(({ type }) => type === 'BLOCK_PARAMS');
+
+        // The arguments of the built-in block helpers are described by the optional and
+        // iterated flags, rather than being listed as passed to a helper.
+        node.exp.slice(1).forEach((arg, index) => {
+            if (helper === 'each') {
+                addArgument(arg, scope, token, { iterated: index === 0 });
+            } else if (isConditional) {
+                addArgument(arg, scope, token, { optional: true });
+            } else {
+                addArgument(arg, scope, token, { helper });
+            }
+        });
+
+        let primaryScope = Object.assign({}, scope, { optional: scope.optional || isConditional });
+
+        if (helper === 'each') {
+            const iterable = node.exp[1] && node.exp[1].type === 'PATH' ? resolvePath(node.exp[1], scope) : null;
+
+            // The item is "this" in the block, and the first block param. The second
+            // block param is the index or key, which is not read from the context.
+            const item = iterable ? iterable.concat(ITEM_SEGMENT) : null;
+            const bindings = new Map();
+
+            if (blockParams) {
+                blockParams.params.forEach((param, index) => bindings.set(param, index === 0 ? item : null));
+            }
+
+            primaryScope = createScope(primaryScope, { context: scope.context, self: item, bindings, parent: scope });
+        } else if (blockParams) {
+            // Custom block helpers decide what their block params are.
+            const bindings = new Map(blockParams.params.map((param) => [ param, null ]));
+            primaryScope = createScope(primaryScope, { context: scope.context, self: scope.self, bindings, parent: scope });
+        }
+
+        // The inverse block is only rendered when the primary block is not.
+        const inverseScope = Object.assign({}, scope, { optional: true });
+        let inInverse = false;
+
+        for (const child of node.children) {
+            if (child.type === 'ELSE') {
+                inInverse = true;
+            } else {
+                walk([ child ], inInverse ? inverseScope : primaryScope, includeStack, overriddenBlocks);
+            }
+        }
+    }
+
+    function walkPartial(node, scope, includeStack) {
+        const token = node.tokens[0];
+        const name = findPartialName(partials, node.name, token.filename);
+
+        let contextArgument = null;
+        const bindings = new Map();
+
+        for (const arg of node.exp) {
+            addArgument(arg, scope, token, {});
+
+            if (arg.type === 'KEY_VALUE') {
+                bindings.set(arg.key, arg.value.type === 'PATH' ? resolvePath(arg.value, scope) : null);
+            } else {
+                contextArgument = arg;
+            }
+        }
+
+        // Stop at partials which include themselves.
+        if (!name || includeStack.includes(name)) {
+            return;
+        }
+
+        // A partial without a context argument is rendered with the context of the tag
+        // which includes it, block params included. Key/value arguments are merged on top.
+        const partialScope = contextArgument ? {
+            context: contextArgument.type === 'PATH' ? resolvePath(contextArgument, scope) : null,
+            self: null,
+            bindings,
+            bindingsParent: null,
+            isBlock: false,
+            parent: scope,
+            optional: scope.optional,
+        } : Object.assign({}, scope, { bindings, bindingsParent: scope, isBlock: false });
+
+        walk(partials.get(name), partialScope, includeStack.concat(name), null);
+    }
+
+    function walkExtends(node, scope, includeStack) {
+        const ownBlocks = new Set();
+
+        for (const child of node.children) {
+            if (child.type === 'BLOCK') {
+                ownBlocks.add(child.name);
+                walk(child.children, scope, includeStack, null);
+            }
+        }
+
+        const name = findPartialName(partials, node.name, node.tokens[0].filename);
+
+        if (name && !includeStack.includes(name)) {
+            // The default content of blocks which this template overrides is not rendered.
+            walk(partials.get(name), scope, includeStack.concat(name), ownBlocks);
+        }
+    }
+
+    function walk(nodes, scope, includeStack, overriddenBlocks) {
+        if (!Array.isArray(nodes)) {
+            return;
+        }
+
+        for (const node of nodes) {
+            const token = node.tokens[0];
+
+            switch (node.type) {
+                case 'PATH_EXPRESSION':
+                    node.exp.forEach((arg) => addArgument(arg, scope, token, {}));
+                    break;
+                case 'HELPER_EXPRESSION':
+                    addHelperArguments(node.exp, scope, token);
+                    break;
+                case 'BLOCK_OPEN':
+                    walkBlock(node, scope, includeStack, overriddenBlocks);
+                    break;
+                case 'PARTIAL':
+                    walkPartial(node, scope, includeStack);
+                    break;
+                case 'EXTENDS':
+                    walkExtends(node, scope, includeStack);
+                    break;
+                case 'BLOCK':
+                    if (!overriddenBlocks || !overriddenBlocks.has(node.name)) {
+                        walk(node.children, scope, includeStack, overriddenBlocks);
+                    }
+                    break;
+            }
+        }
+    }
+
+    const rootScope = {
+        context: [],
+        self: null,
+        bindings: new Map(),
+        bindingsParent: null,
+        isBlock: false,
+        parent: null,
+        optional: false,
+    };
+
+    walk(tree, rootScope, [], null);
+
+    return {
+        paths: Array.from(paths.values()).sort((a, b) => (a.path < b.path ? -1 : 1)),
+    };
+}
+
+// Format path segments like "items[].title".
+export function toPathString(segments) {
+    return segments.reduce((str, segment) => {
+        if (segment === ITEM_SEGMENT) {
+            return str + segment;
+        }
+        return str ? `${ str }.${ segment }` : segment;
+    }, '');
+}
+
+// Block params are available in nested blocks, unless they are shadowed. Key/value
+// partial arguments are bound the same way, but are not block params.
+function createScope(scope, { context, self, bindings, parent }) {
+    return {
+        context,
+        self,
+        bindings,
+        bindingsParent: scope,
+        isBlock: true,
+        parent,
+        optional: scope.optional,
+    };
+}
+
+function getBlockParamName(pathNode, scope) {
+    if (pathNode.scope) {
+        return null;
+    }
+    for (let current = scope; current; current = current.bindingsParent) {
+        if (current.bindings.has(pathNode.path[0])) {
+            return current.isBlock ? pathNode.path[0] : null;
+        }
+    }
+    return null;
+}
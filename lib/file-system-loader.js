@@ -0,0 +1,47 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { resolveTemplateName, getSchemaFilename } from './utils.js';
+
+
+const NOT_FOUND_CODES = [
+    'ENOENT',
+    'ENOTDIR',
+    'EISDIR',
+];
+
+
+export default class FileSystemLoader {
+
+    #directory = null;
+
+    constructor(directory) {
+        this.#directory = path.resolve(directory);
+    }
+
+    get directory() {
+        return this.#directory;
+    }
+
+    resolve(name, fromFilename) {
+        const filename = resolveTemplateName(name, fromFilename);
+
+        // Do not allow template names to reach outside of the template directory.
+        if (!filename || filename.startsWith('../')) {
+            return null;
+        }
+
+        try {
+            return fs.readFileSync(path.join(this.#directory, filename), { encoding: 'utf8' });
+        } catch (cause) {
+            if (NOT_FOUND_CODES.includes(cause.code)) {
+                return null;
+            }
+            throw cause;
+        }
+    }
+
+    // The source of the context schema file for a template, or null when there is none.
+    resolveSchema(name) {
+        return this.resolve(getSchemaFilename(name), null);
+    }
+}
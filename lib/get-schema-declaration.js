@@ -0,0 +1,52 @@
+import LineSyntaxError from './line-syntax-error.js';
+
+
+const SCHEMA_DIRECTIVE = '@schema';
+
+
+// Read the context schema a template declares in a header comment, like
+// {{!-- @schema { "type": "object", "required": ["title"] } --}}
+// The comment must come before any other content or tags. Returns null when the
+// template does not declare a schema.
+export default function getSchemaDeclaration(tree) {
+    let index = 0;
+
+    while (index < tree.length && tree[index].type === 'CONTENT' && !tree[index].str.trim()) {
+        index += 1;
+    }
+
+    const firstNode = tree[index];
+
+    if (!firstNode || firstNode.type !== 'COMMENT' || !firstNode.tokens[0].tokenString.trimStart().startsWith(SCHEMA_DIRECTIVE)) {
+        return null;
+    }
+
+    // A comment spanning several lines is a COMMENT node for each line.
+    let text = '';
+    while (index < tree.length && tree[index].type === 'COMMENT') {
+        text += tree[index].tokens[0].tokenString;
+        index += 1;
+    }
+
+    const token = firstNode.tokens[0];
+    const json = text.trimStart().slice(SCHEMA_DIRECTIVE.length);
+
+    let schema;
+    try {
+        schema = JSON.parse(json);
+    } catch (cause) {
+        throw new LineSyntaxError(
+            `Invalid JSON in the @schema comment in ${ token.filename } on line ${ token.lineNumber }: ${ cause.message }`,
+            Object.assign({ code: 'INVALID_SCHEMA', cause }, token)
+        );
+    }
+
+    if (typeof schema !== 'boolean' && (!schema || typeof schema !== 'object' || Array.isArray(schema))) {
+        throw new LineSyntaxError(
+            `The @schema comment in ${ token.filename } on line ${ token.lineNumber } must be a JSON Schema object`,
+            Object.assign({ code: 'INVALID_SCHEMA' }, token)
+        );
+    }
+
+    return schema;
+}
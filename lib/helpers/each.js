@@ -23,7 +23,11 @@ export default function each_helper(context, options, iterableObject) {
                 subContext[indexName] = index;
             }
 
-            return str + this.renderPrimary(Object.assign({}, context, subContext));
+            // The item is "this" inside the block.
+            return str + this.renderPrimary(Object.assign({}, context, subContext), {
+                self: item,
+                data: createLoopData(index, index, iterableObject.length),
+            });
         }, '');
     }
 
@@ -31,6 +35,7 @@ export default function each_helper(context, options, iterableObject) {
 
     if (objectTag === '[object Map]') {
         let str = '';
+        let index = 0;
 
         for (const [ key, val ] of iterableObject) {
             const subContext = {};
@@ -39,7 +44,12 @@ export default function each_helper(context, options, iterableObject) {
                 subContext[indexName] = key;
             }
 
-            str += this.renderPrimary(Object.assign({}, context, subContext));
+            str += this.renderPrimary(Object.assign({}, context, subContext), {
+                self: val,
+                data: createLoopData(index, key, iterableObject.size),
+            });
+
+            index += 1;
         }
 
         return str;
@@ -47,23 +57,47 @@ export default function each_helper(context, options, iterableObject) {
 
     if (objectTag === '[object Set]') {
         let str = '';
+        let index = 0;
 
         for (const val of iterableObject) {
             const subContext = {};
             subContext[itemName] = val;
-            str += this.renderPrimary(Object.assign({}, context, subContext));
+
+            // Set items do not have keys, so the key is the index.
+            str += this.renderPrimary(Object.assign({}, context, subContext), {
+                self: val,
+                data: createLoopData(index, index, iterableObject.size),
+            });
+
+            index += 1;
         }
 
         return str;
     }
 
-    return Object.keys(iterableObject).reduce((str, key) => {
+    const keys = Object.keys(iterableObject);
+
+    return keys.reduce((str, key, index) => {
         const subContext = {};
         subContext[itemName] = iterableObject[key];
         if (indexName) {
             subContext[indexName] = key;
         }
 
-        return str + this.renderPrimary(Object.assign({}, context, subContext));
+        return str + this.renderPrimary(Object.assign({}, context, subContext), {
+            self: iterableObject[key],
+            data: createLoopData(index, key, keys.length),
+        });
     }, '');
 }
+
+// The "@" data variables available inside the block.
+function createLoopData(index, key, length) {
+    return {
+        index,
+        key,
+        first: index === 0,
+        last: index === length - 1,
+        length,
+    };
+}
@@ -0,0 +1,274 @@
+// Attributes which hold a URL value.
+const URL_ATTRIBUTES = [
+    'action',
+    'background',
+    'cite',
+    'codebase',
+    'data',
+    'formaction',
+    'href',
+    'longdesc',
+    'manifest',
+    'poster',
+    'src',
+    'srcset',
+    'usemap',
+    'xlink:href',
+];
+
+// Elements which contain raw text which is not parsed as HTML.
+const RAW_TEXT_ELEMENTS = [
+    'script',
+    'style',
+];
+
+// The characters which start a string literal in each language.
+const JS_QUOTES = '"\'`';
+const CSS_QUOTES = '"\'';
+
+
+// Tracks the HTML context around template expressions by consuming the
+// template content in document order. This is a simplified HTML tokenizer
+// which only keeps enough state to choose an escaper for each expression.
+export default class HTMLContext {
+
+    #state = 'text';
+    #closingTag = false;
+    #tagName = '';
+    #attributeName = '';
+    #quote = '';
+    #urlPart = 'start';
+    #rawTextElement = '';
+    #rawTextBuffer = '';
+    #stringQuote = '';
+    #stringEscaped = false;
+    #commentBuffer = '';
+
+    constructor(filename) {
+        // JavaScript and CSS files are treated as the content of a script or style element.
+        if (/\.m?js$/i.test(filename || '')) {
+            this.#startRawText('script');
+        } else if (/\.css$/i.test(filename || '')) {
+            this.#startRawText('style');
+        }
+    }
+
+    // Returns a description of the context at the current position, which
+    // is used to select an escaper for an expression at this position.
+    getEscapeContext() {
+        switch (this.#state) {
+            case 'rawText':
+                if (this.#rawTextElement === 'script') {
+                    return { type: 'js', jsQuote: this.#stringQuote, quote: null };
+                }
+                return { type: 'css', cssQuote: this.#stringQuote, quote: null };
+            case 'beforeAttributeValue':
+            case 'attributeValue':
+                return this.#getAttributeEscapeContext();
+            default:
+                return { type: 'html', quote: null };
+        }
+    }
+
+    // Account for dynamic output (an expression, helper or partial) at the current position.
+    insertValue() {
+        if (this.#state === 'beforeAttributeValue') {
+            this.#startAttributeValue('');
+        }
+        // A URL which begins with an expression is no longer at the start.
+        if (this.#state === 'attributeValue' && this.#urlPart === 'start') {
+            this.#urlPart = 'path';
+        }
+    }
+
+    update(str) {
+        for (const c of str) {
+            this.#consume(c);
+        }
+    }
+
+    #getAttributeEscapeContext() {
+        const name = this.#attributeName.toLowerCase();
+        const quote = this.#state === 'beforeAttributeValue' ? '' : this.#quote;
+
+        if (URL_ATTRIBUTES.includes(name)) {
+            return { type: 'url', urlPart: this.#urlPart, quote };
+        }
+        if (name === 'style') {
+            return { type: 'css', cssQuote: this.#stringQuote, quote };
+        }
+        if (name.startsWith('on')) {
+            return { type: 'js', jsQuote: this.#stringQuote, quote };
+        }
+        return { type: 'attribute', quote };
+    }
+
+    #consume(c) {
+        switch (this.#state) {
+            case 'text':
+                if (c === '<') {
+                    this.#state = 'tagOpen';
+                }
+                break;
+            case 'tagOpen':
+                if (c === '!') {
+                    this.#state = 'declaration';
+                    this.#commentBuffer = '';
+                } else if (c === '/') {
+                    this.#startTag(true);
+                } else if (/[a-zA-Z]/.test(c)) {
+                    this.#startTag(false);
+                    this.#tagName = c;
+                } else {
+                    this.#state = 'text';
+                }
+                break;
+            case 'declaration':
+                // Comments "<!-- -->" end with "-->" while other declarations end with ">".
+                this.#commentBuffer += c;
+                if (this.#commentBuffer.startsWith('--')) {
+                    if (this.#commentBuffer.length > 4 && this.#commentBuffer.endsWith('-->')) {
+                        this.#state = 'text';
+                    }
+                } else if (c === '>') {
+                    this.#state = 'text';
+                }
+                break;
+            case 'tagName':
+                if (/\s/.test(c) || c === '/') {
+                    this.#state = 'beforeAttributeName';
+                } else if (c === '>') {
+                    this.#endTag();
+                } else {
+                    this.#tagName += c;
+                }
+                break;
+            case 'beforeAttributeName':
+                if (c === '>') {
+                    this.#endTag();
+                } else if (!/\s/.test(c) && c !== '/') {
+                    this.#state = 'attributeName';
+                    this.#attributeName = c;
+                }
+                break;
+            case 'attributeName':
+                if (c === '=') {
+                    this.#state = 'beforeAttributeValue';
+                } else if (/\s/.test(c)) {
+                    this.#state = 'afterAttributeName';
+                } else if (c === '>') {
+                    this.#endTag();
+                } else {
+                    this.#attributeName += c;
+                }
+                break;
+            case 'afterAttributeName':
+                if (c === '=') {
+                    this.#state = 'beforeAttributeValue';
+                } else if (c === '>') {
+                    this.#endTag();
+                } else if (!/\s/.test(c)) {
+                    this.#state = 'attributeName';
+                    this.#attributeName = c;
+                }
+                break;
+            case 'beforeAttributeValue':
+                if (c === '"' || c === "'") {
+                    this.#startAttributeValue(c);
+                } else if (c === '>') {
+                    this.#endTag();
+                } else if (!/\s/.test(c)) {
+                    this.#startAttributeValue('');
+                    this.#consumeAttributeValue(c);
+                }
+                break;
+            case 'attributeValue':
+                if (this.#quote && c === this.#quote) {
+                    this.#state = 'beforeAttributeName';
+                } else if (!this.#quote && /\s/.test(c)) {
+                    this.#state = 'beforeAttributeName';
+                } else if (!this.#quote && c === '>') {
+                    this.#endTag();
+                } else {
+                    this.#consumeAttributeValue(c);
+                }
+                break;
+            case 'rawText':
+                this.#consumeRawText(c);
+                break;
+        }
+    }
+
+    #startTag(closingTag) {
+        this.#state = 'tagName';
+        this.#closingTag = closingTag;
+        this.#tagName = '';
+    }
+
+    #endTag() {
+        const tagName = this.#tagName.toLowerCase();
+
+        if (!this.#closingTag && RAW_TEXT_ELEMENTS.includes(tagName)) {
+            this.#startRawText(tagName);
+        } else {
+            this.#state = 'text';
+        }
+    }
+
+    #startAttributeValue(quote) {
+        this.#state = 'attributeValue';
+        this.#quote = quote;
+        this.#urlPart = 'start';
+        this.#stringQuote = '';
+        this.#stringEscaped = false;
+    }
+
+    #consumeAttributeValue(c) {
+        if (this.#urlPart !== 'query' && (c === '?' || c === '#')) {
+            this.#urlPart = 'query';
+        } else if (this.#urlPart === 'start' && !/\s/.test(c)) {
+            this.#urlPart = 'path';
+        }
+
+        // Event handler attributes hold JavaScript, and style attributes hold CSS.
+        this.#consumeStringLiteral(c, this.#attributeName.toLowerCase().startsWith('on') ? JS_QUOTES : CSS_QUOTES);
+    }
+
+    #startRawText(tagName) {
+        this.#state = 'rawText';
+        this.#rawTextElement = tagName;
+        this.#rawTextBuffer = '';
+        this.#stringQuote = '';
+        this.#stringEscaped = false;
+    }
+
+    #consumeRawText(c) {
+        const closingTag = `</${ this.#rawTextElement }`;
+
+        // Only keep enough characters to detect the closing tag.
+        this.#rawTextBuffer = (this.#rawTextBuffer + c).slice(-closingTag.length);
+
+        if (this.#rawTextBuffer.toLowerCase() === closingTag) {
+            this.#startTag(true);
+            this.#tagName = this.#rawTextElement;
+            return;
+        }
+
+        this.#consumeStringLiteral(c, this.#rawTextElement === 'script' ? JS_QUOTES : CSS_QUOTES);
+    }
+
+    // Track JavaScript and CSS string literals so expressions inside strings can be escaped as string content.
+    #consumeStringLiteral(c, quotes) {
+        if (this.#stringQuote) {
+            if (this.#stringEscaped) {
+                this.#stringEscaped = false;
+            } else if (c === '\\') {
+                this.#stringEscaped = true;
+            } else if (c === this.#stringQuote) {
+                this.#stringQuote = '';
+            }
+        } else if (quotes.includes(c)) {
+            this.#stringQuote = c;
+        }
+    }
+}
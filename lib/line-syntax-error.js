@@ -1,3 +1,7 @@
+// The number of lines shown before and after the error line in a code frame.
+const DEFAULT_CONTEXT_LINES = 2;
+
+
 export default class LineSyntaxError extends Error {
 
     name = 'LineSyntaxError';
@@ -10,6 +14,11 @@ export default class LineSyntaxError extends Error {
                 enumerable: true,
                 value: 'LineSyntaxError',
             },
+            // A stable identifier for the kind of error, like "UNCLOSED_BLOCK".
+            code: {
+                enumerable: true,
+                value: spec.code || 'SYNTAX_ERROR',
+            },
             message: {
                 enumerable: true,
                 value: message,
@@ -34,34 +43,133 @@ export default class LineSyntaxError extends Error {
                 enumerable: true,
                 value: spec.endPosition,
             },
+            // A second location the error refers to, like the tag which opened a mismatched block.
+            related: {
+                enumerable: true,
+                value: spec.related ? toLocation(spec.related) : null,
+            },
+            // The partials which were rendering when the error was thrown, innermost first.
+            includeStack: {
+                enumerable: true,
+                value: [],
+            },
+            // The lines of the template source, when they are known, for showing surrounding lines.
+            sourceLines: {
+                writable: true,
+                value: spec.sourceLines || null,
+            },
         });
     }
 
-    toString() {
-        let lines;
-
-        if (Number.isInteger(this.startPosition)) {
-            let linePointer = '';
-            const linePointerLength = this.lineNumber.toString().length + 2 + this.startPosition;
-
-            for (let i = 0; i < linePointerLength; i += 1) {
-                linePointer += '.';
-            }
-
-            linePointer += '^';
-
-            lines = [
-                `${ this.name }: ${ this.message }`,
-                `${ this.lineNumber }: ${ this.line.trimEnd() }`,
-                linePointer,
-            ];
-        } else {
-            lines = [
-                `${ this.name }: ${ this.message }`,
-                `${ this.lineNumber }: ${ this.line.trimEnd() }`,
-            ];
+    // Record the tag which included the partial the error was thrown from.
+    addIncludeFrame(partialName, token) {
+        this.includeStack.push(Object.assign({ partialName }, toLocation(token)));
+        return this;
+    }
+
+    // The source is attached by whichever part of the system has it, and the first one wins.
+    setSourceLines(sourceLines) {
+        if (!this.sourceLines) {
+            this.sourceLines = sourceLines;
+        }
+        return this;
+    }
+
+    codeFrame(options) {
+        return formatCodeFrame(this, this.sourceLines, options);
+    }
+
+    format(options) {
+        const lines = [
+            `${ this.name } [${ this.code }]: ${ this.message }`,
+            this.codeFrame(options),
+        ];
+
+        if (this.related) {
+            const relatedSourceLines = this.related.filename === this.filename ? this.sourceLines : null;
+
+            lines.push(
+                `Related location in ${ this.related.filename } on line ${ this.related.lineNumber }:`,
+                formatCodeFrame(this.related, relatedSourceLines, options)
+            );
+        }
+
+        for (const { partialName, filename, lineNumber } of this.includeStack) {
+            lines.push(`    in partial "${ partialName }" included in ${ filename } on line ${ lineNumber }`);
         }
 
         return lines.join('\n');
     }
+
+    toString() {
+        return this.format();
+    }
+
+    // A plain object for structured logging.
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            filename: this.filename,
+            lineNumber: this.lineNumber,
+            startPosition: this.startPosition,
+            endPosition: this.endPosition,
+            line: this.line,
+            related: this.related,
+            includeStack: this.includeStack,
+            cause: serializeCause(this.cause),
+        };
+    }
+}
+
+function toLocation({ filename, line, lineNumber, startPosition, endPosition }) {
+    return { filename, line, lineNumber, startPosition, endPosition };
+}
+
+// Show the error line with the surrounding lines when the source is known, and underline the error range.
+function formatCodeFrame(location, sourceLines, options) {
+    const contextLines = options && Number.isInteger(options.contextLines) ? options.contextLines : DEFAULT_CONTEXT_LINES;
+    const { lineNumber, startPosition, endPosition } = location;
+
+    let firstLineNumber = lineNumber;
+    let lastLineNumber = lineNumber;
+
+    if (sourceLines) {
+        firstLineNumber = Math.max(1, lineNumber - contextLines);
+        lastLineNumber = Math.min(sourceLines.length, lineNumber + contextLines);
+    }
+
+    const gutterWidth = String(lastLineNumber).length;
+    const lines = [];
+
+    for (let n = firstLineNumber; n <= lastLineNumber; n += 1) {
+        const text = (sourceLines ? sourceLines[n - 1] : location.line) || '';
+        const marker = n === lineNumber ? '>' : ' ';
+
+        lines.push(`${ marker } ${ String(n).padStart(gutterWidth) } | ${ text.trimEnd() }`);
+
+        if (n === lineNumber && Number.isInteger(startPosition)) {
+            const end = Number.isInteger(endPosition) && endPosition >= startPosition ? endPosition : startPosition;
+            // Keep tabs in the indentation so the underline lines up with the source.
+            const indent = text.slice(0, startPosition).replace(/[^\t]/g, ' ');
+
+            lines.push(`  ${ ' '.repeat(gutterWidth) } | ${ indent }${ '^'.repeat(end - startPosition + 1) }`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+function serializeCause(cause) {
+    if (!cause) {
+        return null;
+    }
+    if (typeof cause.toJSON === 'function') {
+        return cause.toJSON();
+    }
+    if (cause instanceof Error) {
+        return { name: cause.name, message: cause.message, stack: cause.stack };
+    }
+    return { message: String(cause) };
 }
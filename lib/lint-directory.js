@@ -0,0 +1,95 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import LineSyntaxError from './line-syntax-error.js';
+import tokenize from './tokenize.js';
+import buildSyntaxTree from './build-syntax-tree.js';
+import analyze from './analyze.js';
+import createDiagnostic from './create-diagnostic.js';
+
+
+const DEFAULT_EXTENSIONS = [ '.html' ];
+
+
+// Check every template in a directory. Templates are named by their path relative to the
+// directory, the same way FileSystemLoader names them, so that they can include each other.
+export default function lintDirectory(directory, options) {
+    const extensions = (options && options.extensions) || DEFAULT_EXTENSIONS;
+    // Templates with names which start with this prefix are partials, and are reported when unused.
+    const partialsPrefix = (options && options.partials) || null;
+    const root = path.resolve(directory);
+
+    const trees = new Map();
+    const diagnostics = [];
+
+    for (const name of listFiles(root, '', extensions)) {
+        const source = fs.readFileSync(path.join(root, name), { encoding: 'utf8' });
+
+        try {
+            const result = buildSyntaxTree({ recover: true }, tokenize(null, name, source));
+            trees.set(name, result.tree);
+            diagnostics.push(...result.diagnostics);
+        } catch (error) {
+            // A template which cannot be tokenized has no tree to analyze.
+            if (!(error instanceof LineSyntaxError)) {
+                throw error;
+            }
+            diagnostics.push(createDiagnostic('error', error));
+        }
+    }
+
+    const includedPartials = new Set();
+
+    for (const tree of trees.values()) {
+        const result = analyze(tree, { helpers: options && options.helpers, partials: trees });
+        result.partials.forEach((name) => includedPartials.add(name));
+        diagnostics.push(...result.diagnostics);
+    }
+
+    if (partialsPrefix) {
+        for (const name of trees.keys()) {
+            if (name.startsWith(partialsPrefix) && !includedPartials.has(name)) {
+                const spec = { code: 'UNUSED_PARTIAL', filename: name, lineNumber: 1, startPosition: 0, endPosition: 0, line: '' };
+                diagnostics.push(createDiagnostic('warning', new LineSyntaxError(`The partial "${ name }" is not included by any template`, spec)));
+            }
+        }
+    }
+
+    diagnostics.sort((a, b) => {
+        return compareStrings(a.filename, b.filename) || a.lineNumber - b.lineNumber || a.startPosition - b.startPosition;
+    });
+
+    return {
+        templates: Array.from(trees.keys()),
+        diagnostics,
+    };
+}
+
+function listFiles(root, dirname, extensions) {
+    const entries = fs.readdirSync(path.join(root, dirname), { withFileTypes: true });
+    const names = [];
+
+    entries.sort((a, b) => compareStrings(a.name, b.name));
+
+    for (const entry of entries) {
+        // Template names are always slash delineated.
+        const name = dirname ? `${ dirname }/${ entry.name }` : entry.name;
+
+        if (entry.name.startsWith('.')) {
+            continue;
+        }
+        if (entry.isDirectory()) {
+            names.push(...listFiles(root, name, extensions));
+        } else if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+            names.push(name);
+        }
+    }
+
+    return names;
+}
+
+function compareStrings(a, b) {
+    if (a < b) {
+        return -1;
+    }
+    return a > b ? 1 : 0;
+}
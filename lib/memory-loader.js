@@ -0,0 +1,42 @@
+import { resolveTemplateName, getSchemaFilename } from './utils.js';
+
+
+export default class MemoryLoader {
+
+    #templates = new Map();
+
+    constructor(templates) {
+        if (templates) {
+            const entries = templates instanceof Map ? templates : Object.entries(templates);
+
+            for (const [ name, source ] of entries) {
+                this.set(name, source);
+            }
+        }
+    }
+
+    set(name, source) {
+        this.#templates.set(resolveTemplateName(name), source);
+        return this;
+    }
+
+    delete(name) {
+        this.#templates.delete(resolveTemplateName(name));
+        return this;
+    }
+
+    resolve(name, fromFilename) {
+        const filename = resolveTemplateName(name, fromFilename);
+
+        if (this.#templates.has(filename)) {
+            return this.#templates.get(filename);
+        }
+
+        return null;
+    }
+
+    // The source of the context schema file for a template, or null when there is none.
+    resolveSchema(name) {
+        return this.resolve(getSchemaFilename(name), null);
+    }
+}
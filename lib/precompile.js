@@ -0,0 +1,81 @@
+import { generateRenderSource } from './compile-render-function.js';
+import { getContentOrigin } from './source-map-recorder.js';
+import { getTreeFilename } from './utils.js';
+
+
+// Generate the source code for an ES module from a syntax tree created by buildSyntaxTree().
+// The module contains the render code generated by compileRenderFunction(), so it does not
+// need the tokenizer, the parser or the code generator at runtime. Helpers and partials are
+// still referenced by name, and are supplied by the code which imports the module.
+export default function precompile(tree, options) {
+    const runtime = (options && options.runtime) || 'kixx-templating';
+
+    if (!Array.isArray(tree)) {
+        throw new TypeError('precompile() expects a syntax tree Array from buildSyntaxTree()');
+    }
+    if (options && typeof options.escape === 'function') {
+        throw new TypeError('precompile() expects the name of an escape strategy; an escape function cannot be written into a module');
+    }
+
+    const filename = getTreeFilename(tree);
+
+    // The options which change the generated code are decided now, and take precedence
+    // over the options given when the render function is created.
+    const compileOptions = {
+        escape: (options && options.escape) || null,
+        escapeExtensions: (options && options.escapeExtensions) || null,
+        contextualEscaping: Boolean(options && options.contextualEscaping),
+        strict: Boolean(options && options.strict),
+    };
+
+    const strippedTree = tree.map(stripNode);
+    const source = generateRenderSource(compileOptions, null, strippedTree);
+
+    return [
+        `// Precompiled from ${ toJavaScriptLiteral(filename) } by kixx-templating; do not edit.`,
+        `import { createCompiledRenderFunction } from ${ toJavaScriptLiteral(runtime) };`,
+        '',
+        `export const filename = ${ toJavaScriptLiteral(filename) };`,
+        '',
+        `export const compileOptions = ${ toJavaScriptLiteral(compileOptions) };`,
+        '',
+        '// The syntax tree is only used for async rendering, streaming and source maps.',
+        `export const tree = ${ toJavaScriptLiteral(strippedTree) };`,
+        '',
+        'function createRootScope(runtime, helpers, partials, options) {',
+        ...source.split('\n').map((line) => `    ${ line }`),
+        '}',
+        '',
+        'export default function createRender(helpers, partials, options) {',
+        '    const renderOptions = Object.assign({}, options, compileOptions);',
+        '    return createCompiledRenderFunction(renderOptions, helpers, partials, tree, createRootScope);',
+        '}',
+        '',
+    ].join('\n');
+}
+
+// Tokens are reduced to their location, which is all that error messages and source maps
+// need. Content tokens are moved to where the content starts, in place of the token text.
+function stripNode(node) {
+    const copy = Object.assign({}, node);
+
+    if (Array.isArray(node.tokens)) {
+        copy.tokens = node.tokens.map(({ filename, lineNumber, startPosition, endPosition }) => {
+            return { filename, lineNumber, startPosition, endPosition };
+        });
+
+        if (node.type === 'CONTENT' && node.tokens.length > 0) {
+            copy.tokens[0].startPosition = getContentOrigin(node).startPosition;
+        }
+    }
+    if (Array.isArray(node.children)) {
+        copy.children = node.children.map(stripNode);
+    }
+
+    return copy;
+}
+
+// JSON is valid JavaScript, except that the line separator characters would end a comment.
+function toJavaScriptLiteral(value) {
+    return JSON.stringify(value).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
@@ -0,0 +1,301 @@
+const DEFAULT_INDENT = '    ';
+
+// The whitespace inside the braces of each kind of tag: before the tag sigil,
+// after the sigil, and before the closing braces, like "{{> name }}".
+const TAG_PADDING = {
+    expression: [ ' ', '', ' ' ],
+    block: [ '', '', '' ],
+    partial: [ '', ' ', ' ' ],
+};
+
+
+// Print a syntax tree from buildSyntaxTree() back to template source. Tags are printed from
+// the fields of their nodes, so changes made to the tree show up in the output, with the
+// spacing inside the braces and the quotes they were written with. Content and comments are
+// printed as they are. In format mode the spacing inside tags and the quotes are normalized,
+// and the lines in a block are indented one level deeper than the line of the open tag.
+export default function print(tree, options) {
+    if (!Array.isArray(tree)) {
+        throw new TypeError('print() expects the syntax tree Array returned by buildSyntaxTree()');
+    }
+
+    const format = Boolean(options && options.format);
+    const indent = options && typeof options.indent === 'string' ? options.indent : DEFAULT_INDENT;
+
+    let output = '';
+    // For each output line, the innermost block the line starts in, and the block
+    // an else or close tag at the start of the line belongs to.
+    const lines = [{ block: null, tagOf: null }];
+    let currentBlock = null;
+
+    function write(str) {
+        const lineBreakCount = str.split('\n').length - 1;
+        for (let i = 0; i < lineBreakCount; i += 1) {
+            lines.push({ block: currentBlock, tagOf: null });
+        }
+        output += str;
+    }
+
+    function quote(value, writtenQuote) {
+        return quoteString(value, format ? '"' : (writtenQuote || '"'));
+    }
+
+    function printArgument(arg) {
+        switch (arg.type) {
+            case 'PATH':
+                return arg.optional ? `${ arg.pathString }?` : arg.pathString;
+            case 'LITERAL':
+                return typeof arg.value === 'string' ? quote(arg.value, arg.quote) : String(arg.value);
+            case 'KEY_VALUE':
+                return `${ arg.key }=${ printArgument(arg.value) }`;
+            case 'SUBEXPRESSION':
+                return `(${ printExpression(arg.exp) })`;
+            case 'BLOCK_PARAMS':
+                return `as |${ arg.params.join(' ') }|`;
+            default:
+                throw new TypeError(`Unknown expression node type "${ arg.type }"`);
+        }
+    }
+
+    function printExpression(exp) {
+        return exp.map(printArgument).join(' ');
+    }
+
+    function printTag(node, kind, braces, sigil, body) {
+        const [ before, afterSigil, after ] = format ? TAG_PADDING[kind] : getWrittenPadding(node, TAG_PADDING[kind]);
+        const [ trimBefore, trimAfter ] = getWhitespaceControl(node);
+        const open = trimBefore ? `${ braces }~` : braces;
+        const close = braces === '{{{' ? '}}}' : '}}';
+        return `${ open }${ before }${ sigil }${ afterSigil }${ body }${ after }${ trimAfter ? `~${ close }` : close }`;
+    }
+
+    // Partial names are only quoted when they need to be, or when they were written with quotes.
+    // Layout and block names are always quoted.
+    function printName(node, isQuoteRequired) {
+        const writtenQuote = getWrittenNameQuote(node);
+
+        if (isQuoteRequired || (writtenQuote && !format) || !/^[^\s"']+$/.test(node.name)) {
+            return quote(node.name, writtenQuote);
+        }
+        return node.name;
+    }
+
+    function printOpenTag(node) {
+        switch (node.type) {
+            case 'EXTENDS':
+                return printTag(node, 'block', '{{', '#', `extends ${ printName(node, true) }`);
+            case 'BLOCK':
+                return printTag(node, 'block', '{{', '#', `block ${ printName(node, true) }`);
+            default:
+                return printTag(node, 'block', '{{', '#', printExpression(node.exp));
+        }
+    }
+
+    // Else and close tags at the start of a line are indented to match the open tag.
+    function writeBlockTag(block, str) {
+        if (/(^|\n)[ \t]*$/.test(output)) {
+            lines[lines.length - 1].tagOf = block;
+        }
+        write(str);
+    }
+
+    function printBlock(node) {
+        const block = { parent: currentBlock, openLine: lines.length - 1 };
+        let section = [];
+
+        write(printOpenTag(node));
+        currentBlock = block;
+
+        for (const child of node.children) {
+            if (child.type === 'ELSE') {
+                printNodes(section);
+                section = [];
+                writeBlockTag(block, printTag(child, 'block', '{{', '', 'else'));
+            } else if (child.type !== 'BLOCK_CLOSE') {
+                section.push(child);
+            }
+        }
+
+        printNodes(section);
+
+        // The close tag always matches the open tag, even when the open tag was changed.
+        const closeNode = node.children.find(({ type }) => type === 'BLOCK_CLOSE') || null;
+        writeBlockTag(block, printTag(closeNode, 'block', '{{', '/', getBlockName(node)));
+
+        currentBlock = block.parent;
+    }
+
+    function printNode(node) {
+        switch (node.type) {
+            case 'CONTENT':
+                write(node.str);
+                break;
+            case 'PATH_EXPRESSION':
+            case 'HELPER_EXPRESSION':
+                if (node.raw && !format && isWrittenWithAmpersand(node)) {
+                    write(printTag(node, 'partial', '{{', '&', printExpression(node.exp)));
+                } else {
+                    write(printTag(node, 'expression', node.raw ? '{{{' : '{{', '', printExpression(node.exp)));
+                }
+                break;
+            case 'PARTIAL': {
+                const args = node.exp.length > 0 ? ` ${ printExpression(node.exp) }` : '';
+                write(printTag(node, 'partial', '{{', '>', printName(node, false) + args));
+                break;
+            }
+            case 'BLOCK_OPEN':
+            case 'EXTENDS':
+            case 'BLOCK':
+                printBlock(node);
+                break;
+            default:
+                throw new TypeError(`Unknown syntax tree node type "${ node.type }"`);
+        }
+    }
+
+    function printNodes(nodes) {
+        // A comment is a COMMENT node for each of its lines, so the lines are printed together.
+        // A comment ends at a line which does not end with a line break.
+        let commentLines = [];
+
+        for (const node of nodes) {
+            if (node.type === 'COMMENT') {
+                const { tokenString } = node.tokens[0];
+                commentLines.push(tokenString);
+
+                if (!tokenString.endsWith('\n')) {
+                    write(`{{!--${ commentLines.join('') }--}}`);
+                    commentLines = [];
+                }
+            } else {
+                printNode(node);
+            }
+        }
+
+        if (commentLines.length > 0) {
+            write(`{{!--${ commentLines.join('') }--}}`);
+        }
+    }
+
+    printNodes(tree);
+
+    // The tokenizer ends the last line of a template with a line break, which is not in the source.
+    if (output.endsWith('\n')) {
+        output = output.slice(0, -1);
+        lines.pop();
+    }
+
+    return format ? reindent(output, lines, indent) : output;
+}
+
+// Lines in a block keep their indentation relative to each other, and the least indented
+// of them is indented one level deeper than the open tag line. Lines outside of blocks and
+// blank lines are left as they are.
+function reindent(output, lines, indent) {
+    const sourceLines = output.split('\n');
+    const minIndents = new Map();
+
+    sourceLines.forEach((line, index) => {
+        const { block, tagOf } = lines[index];
+
+        if (block && !tagOf && line.trim()) {
+            const width = getIndent(line).length;
+            minIndents.set(block, minIndents.has(block) ? Math.min(minIndents.get(block), width) : width);
+        }
+    });
+
+    const newIndents = [];
+
+    return sourceLines.map((line, index) => {
+        const { block, tagOf } = lines[index];
+        const currentIndent = getIndent(line);
+
+        let newIndent;
+        if (!line.trim()) {
+            newIndent = currentIndent;
+        } else if (tagOf) {
+            newIndent = newIndents[tagOf.openLine];
+        } else if (block) {
+            newIndent = newIndents[block.openLine] + indent + currentIndent.slice(minIndents.get(block));
+        } else {
+            newIndent = currentIndent;
+        }
+
+        newIndents[index] = newIndent;
+        return newIndent + line.slice(currentIndent.length);
+    }).join('\n');
+}
+
+function getIndent(line) {
+    return line.match(/^[ \t]*/)[0];
+}
+
+function getBlockName(node) {
+    switch (node.type) {
+        case 'EXTENDS':
+            return 'extends';
+        case 'BLOCK':
+            return 'block';
+        default:
+            return node.exp[0] && node.exp[0].type === 'PATH' ? node.exp[0].pathString : '';
+    }
+}
+
+function getSourceText(node) {
+    if (!node || !Array.isArray(node.tokens) || node.tokens.length === 0) {
+        return null;
+    }
+    return node.tokens.map(({ tokenString }) => tokenString).join('');
+}
+
+// The text inside the braces of a tag as it was written, without "~" whitespace control markers.
+function getWrittenText(node) {
+    const text = getSourceText(node);
+    return text === null ? null : text.replace(/^~/, '').replace(/~$/, '');
+}
+
+// The whitespace around a tag has already been trimmed from the content nodes, but the
+// "~" markers are printed again so that the printed template parses to the same tree.
+function getWhitespaceControl(node) {
+    const text = getSourceText(node);
+    return text === null ? [ false, false ] : [ text.startsWith('~'), text.endsWith('~') ];
+}
+
+// Whitespace which spans lines is printed as a single space, since arguments are printed on one line.
+function getWrittenPadding(node, defaultPadding) {
+    const text = getWrittenText(node);
+
+    if (!text || !text.trim()) {
+        return defaultPadding;
+    }
+
+    const [ , before, , afterSigil ] = text.match(/^(\s*)([#/>&]?)(\s*)/);
+    const [ after ] = text.match(/\s*$/);
+
+    return [ before, afterSigil, after ].map((padding) => (padding.includes('\n') ? ' ' : padding));
+}
+
+function getWrittenNameQuote(node) {
+    const text = getWrittenText(node);
+    const match = text ? text.match(/^\s*(?:>|#\s*(?:extends|block)\s)\s*(["'])/) : null;
+    return match ? match[1] : null;
+}
+
+function isWrittenWithAmpersand(node) {
+    const text = getWrittenText(node);
+    return Boolean(text) && /^\s*&/.test(text);
+}
+
+// Template strings have no escape sequences, so a string is quoted with whichever quote it does not contain.
+function quoteString(value, preferredQuote) {
+    const otherQuote = preferredQuote === '"' ? "'" : '"';
+
+    if (!value.includes(preferredQuote)) {
+        return `${ preferredQuote }${ value }${ preferredQuote }`;
+    }
+    if (!value.includes(otherQuote)) {
+        return `${ otherQuote }${ value }${ otherQuote }`;
+    }
+
+    throw new Error(`The string ${ JSON.stringify(value) } cannot be printed because it contains both kinds of quotes`);
+}
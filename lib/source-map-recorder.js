@@ -0,0 +1,176 @@
+// Records which part of which template produced each range of the rendered output.
+//
+// Each rendered block (a template, partial, or the body of a block helper) is recorded in a
+// frame with ranges relative to its own output. When a helper or partial returns, the ranges
+// of the frames rendered inside of it are moved into the frame around it, offset by where the
+// part starts in the output. A helper which changes the output of its block (instead of
+// including it as is) is still recorded, but the ranges inside of it are left out.
+export default class SourceMapRecorder {
+
+    #root = createFrame();
+    #stack = [ this.#root ];
+
+    enter() {
+        const frame = createFrame();
+        this.#stack[this.#stack.length - 1].children.push(frame);
+        this.#stack.push(frame);
+        return frame;
+    }
+
+    exit(frame, output) {
+        this.#stack.pop();
+        frame.output = output;
+    }
+
+    // Record the output of a part of the tree, which was appended to the frame output at the start offset.
+    record(frame, part, start, output) {
+        const end = output.length;
+
+        switch (part.type) {
+            case 'CONTENT': {
+                let offset = start;
+                for (const origin of part.origins) {
+                    frame.ranges.push(createRange(offset, offset + origin.length, 'content', null, origin));
+                    offset += origin.length;
+                }
+                break;
+            }
+            case 'PATH_EXPRESSION':
+                frame.ranges.push(createRange(start, end, 'expression', part.exp.pathString || null, part.tokens[0]));
+                break;
+            case 'HELPER_FUNCTION':
+                placeHelperFrames(frame, output.slice(start), start);
+                frame.ranges.push(createRange(start, end, 'helper', part.exp[0].pathString, part.tokens[0]));
+                break;
+            case 'PARTIAL_FUNCTION':
+                placeChildFrames(frame, output.slice(start), start);
+                frame.ranges.push(createRange(start, end, 'partial', part.name, part.tokens[0]));
+                break;
+            case 'BLOCK_FUNCTION':
+                placeChildFrames(frame, output.slice(start), start);
+                frame.ranges.push(createRange(start, end, 'block', part.name, part.tokens[0]));
+                break;
+        }
+    }
+
+    // Get the ranges of the complete output, sorted by start offset with outer ranges first.
+    getRanges(output) {
+        placeChildFrames(this.#root, output, 0);
+
+        return this.#root.ranges
+            .filter((range) => range.end > range.start)
+            .sort((a, b) => a.start - b.start || b.end - a.end);
+    }
+}
+
+// The location of a content node in the template source. Whitespace control may have
+// trimmed the content, so find where the remaining content starts in the source line.
+export function getContentOrigin(node) {
+    const [ token ] = node.tokens;
+    // Precompiled templates keep the location of content tokens without the token text.
+    const offset = token.tokenString ? Math.max(0, token.tokenString.indexOf(node.str)) : 0;
+
+    return {
+        length: node.str.length,
+        filename: token.filename,
+        lineNumber: token.lineNumber,
+        startPosition: token.startPosition + offset,
+        endPosition: token.startPosition + offset + node.str.length - 1,
+    };
+}
+
+function createFrame() {
+    return { ranges: [], children: [], output: '' };
+}
+
+function createRange(start, end, type, name, { filename, lineNumber, startPosition, endPosition }) {
+    return { start, end, type, name, filename, lineNumber, startPosition, endPosition };
+}
+
+// Templates, partials and blocks return the output of the frames rendered for them as it is,
+// so the frames start where the part starts. An indented partial changes the output, so the
+// ranges inside of it are left out.
+function placeChildFrames(frame, output, start) {
+    const children = getChildrenWithOutput(frame);
+
+    if (children.map((child) => child.output).join('') === output) {
+        const offsets = [];
+        let offset = start;
+
+        for (const child of children) {
+            offsets.push(offset);
+            offset += child.output.length;
+        }
+
+        moveChildRanges(frame, children, offsets);
+    }
+
+    frame.children = [];
+}
+
+// A helper builds its output from the output of its blocks, with content around them, so the
+// blocks are placed in order where their output is in the helper output. When content around
+// them repeats the output of a block there is more than one place they could be, so the
+// ranges inside the helper are left out rather than given to the wrong text.
+function placeHelperFrames(frame, output, start) {
+    const children = getChildrenWithOutput(frame);
+    const first = findInOrder(children, output);
+    const last = findInOrderFromEnd(children, output);
+
+    if (first && last && first.every((offset, index) => offset === last[index])) {
+        moveChildRanges(frame, children, first.map((offset) => start + offset));
+    }
+
+    frame.children = [];
+}
+
+// Frames with empty output have no ranges to place.
+function getChildrenWithOutput(frame) {
+    return frame.children.filter((child) => child.output.length > 0);
+}
+
+function moveChildRanges(frame, children, offsets) {
+    children.forEach((child, index) => {
+        for (const range of child.ranges) {
+            frame.ranges.push(Object.assign({}, range, {
+                start: range.start + offsets[index],
+                end: range.end + offsets[index],
+            }));
+        }
+    });
+}
+
+// The first place each child output is found, in order.
+function findInOrder(children, output) {
+    const offsets = [];
+    let cursor = 0;
+
+    for (const child of children) {
+        const index = output.indexOf(child.output, cursor);
+        if (index === -1) {
+            return null;
+        }
+        offsets.push(index);
+        cursor = index + child.output.length;
+    }
+
+    return offsets;
+}
+
+// The last place each child output is found, in order.
+function findInOrderFromEnd(children, output) {
+    const offsets = [];
+    let cursor = output.length;
+
+    for (let i = children.length - 1; i >= 0; i -= 1) {
+        const from = cursor - children[i].output.length;
+        const index = from < 0 ? -1 : output.lastIndexOf(children[i].output, from);
+        if (index === -1) {
+            return null;
+        }
+        offsets.unshift(index);
+        cursor = index;
+    }
+
+    return offsets;
+}
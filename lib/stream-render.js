@@ -0,0 +1,97 @@
+import DeferredOutput, { streamOutput } from './deferred-output.js';
+import { createRenderState, streamRenderOutput } from './create-render-function.js';
+
+
+// Render a template as an async iterator of string chunks. Any render function can be
+// streamed; promises in the context, helpers and partial loaders are resolved as the
+// output reaches them. Output is sent as the template renders until the first pending
+// value. The rest of the template is then rendered without waiting, so that pending
+// values resolve concurrently, and is sent in order as it resolves.
+export default async function* streamRender(render, context) {
+    const state = createRenderState(context, true);
+    const pendingOutputs = [];
+
+    for (const output of streamRenderOutput(render, context, state)) {
+        if (pendingOutputs.length === 0 && !(output instanceof DeferredOutput)) {
+            yield* streamOutput(output);
+        } else {
+            pendingOutputs.push(output);
+        }
+    }
+
+    for (const output of pendingOutputs) {
+        yield* streamOutput(output);
+    }
+}
+
+// Write chunks from an iterator into a Node.js Writable or a web WritableStream, waiting
+// whenever the destination asks for backpressure. When rendering fails the error is
+// passed on to the destination, and the returned promise rejects.
+export async function writeToStream(chunks, destination) {
+    if (typeof destination.getWriter === 'function') {
+        return writeToWebStream(chunks, destination.getWriter());
+    }
+    if (typeof destination.write === 'function' && typeof destination.once === 'function') {
+        return writeToNodeStream(chunks, destination);
+    }
+    throw new TypeError('The destination must be a Node.js Writable or a WritableStream');
+}
+
+async function writeToWebStream(chunks, writer) {
+    try {
+        for await (const chunk of chunks) {
+            await writer.ready;
+            // Do not wait for each write; writer.ready is the backpressure signal.
+            writer.write(chunk).catch(noop);
+        }
+    } catch (error) {
+        await writer.abort(error).catch(noop);
+        throw error;
+    }
+
+    await writer.close();
+}
+
+async function writeToNodeStream(chunks, destination) {
+    try {
+        for await (const chunk of chunks) {
+            if (!destination.write(chunk)) {
+                await waitForEvent(destination, 'drain');
+            }
+        }
+    } catch (error) {
+        destination.destroy(error);
+        throw error;
+    }
+
+    destination.end();
+    await waitForEvent(destination, 'finish');
+}
+
+function waitForEvent(emitter, eventName) {
+    return new Promise((resolve, reject) => {
+        function cleanup() {
+            emitter.off(eventName, onEvent);
+            emitter.off('error', onError);
+            emitter.off('close', onClose);
+        }
+        function onEvent() {
+            cleanup();
+            resolve();
+        }
+        function onError(error) {
+            cleanup();
+            reject(error);
+        }
+        function onClose() {
+            cleanup();
+            reject(new Error(`The stream was closed before "${ eventName }"`));
+        }
+
+        emitter.on(eventName, onEvent);
+        emitter.on('error', onError);
+        emitter.on('close', onClose);
+    });
+}
+
+function noop() {}
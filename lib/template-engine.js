@@ -0,0 +1,332 @@
+import LineSyntaxError from './line-syntax-error.js';
+import ContextValidationError from './context-validation-error.js';
+import tokenize from './tokenize.js';
+import buildSyntaxTree from './build-syntax-tree.js';
+import createRenderFunction, { streamRenderOutput } from './create-render-function.js';
+import compileRenderFunction from './compile-render-function.js';
+import streamRender, { writeToStream } from './stream-render.js';
+import getSchemaDeclaration from './get-schema-declaration.js';
+import validateSchema from './validate-schema.js';
+import transform, { assertValidPlugin } from './transform.js';
+import builtInHelpers from './helpers/mod.js';
+import { resolveTemplateName, isThenable } from './utils.js';
+
+
+export default class TemplateEngine {
+
+    #options = null;
+    #loader = null;
+    #helpers = new Map(builtInHelpers);
+    #partials = new Map();
+    #templates = new Map();
+    #loadedPartials = new Map();
+    #plugins = [];
+    // Template sources by filename, used to show the lines around errors.
+    #sources = new Map();
+
+    constructor(options) {
+        this.#options = Object.assign({}, options, {
+            resolvePartial: this.#resolvePartial.bind(this),
+        });
+
+        this.#loader = this.#options.loader || null;
+
+        if (Array.isArray(this.#options.plugins)) {
+            this.#options.plugins.forEach((plugin) => this.registerPlugin(plugin));
+        }
+    }
+
+    get helpers() {
+        return this.#helpers;
+    }
+
+    get partials() {
+        return this.#partials;
+    }
+
+    get loader() {
+        return this.#loader;
+    }
+
+    registerHelper(name, helperFunction) {
+        if (typeof helperFunction !== 'function') {
+            throw new TypeError(`The helper "${ name }" must be a function`);
+        }
+        this.#helpers.set(name, helperFunction);
+        return this;
+    }
+
+    // Compiler plugins run on the syntax tree of each template and partial compiled after they
+    // are registered, in the order they were registered.
+    registerPlugin(plugin) {
+        assertValidPlugin(plugin);
+        this.#plugins.push(plugin);
+        return this;
+    }
+
+    registerPartial(name, source, options) {
+        // Partials are looked up by name at render time, so templates which
+        // include this partial will pick up the new version without recompiling.
+        this.#partials.set(name, this.#compileSource(name, source, options));
+        return this;
+    }
+
+    // Register a template from a module generated by precompile(). The module default
+    // export is given the engine helpers, partials and options to create the render function.
+    registerPrecompiled(name, createRender) {
+        const render = this.#createPrecompiledRender(name, createRender);
+        this.#templates.set(name, { source: null, options: null, render });
+        return this;
+    }
+
+    registerPrecompiledPartial(name, createRender) {
+        this.#partials.set(name, this.#createPrecompiledRender(name, createRender));
+        return this;
+    }
+
+    compile(name, source, options) {
+        const cached = this.#templates.get(name);
+
+        // Only recompile when the source or options have changed.
+        if (cached && cached.source === source && cached.options === options) {
+            return cached.render;
+        }
+
+        const render = this.#compileSource(name, source, options);
+        this.#templates.set(name, { source, options, render });
+        return render;
+    }
+
+    render(name, context) {
+        const attachSource = this.#attachSource.bind(this);
+
+        try {
+            const render = this.#getRenderFunction(name);
+
+            const output = isThenable(render)
+                ? render.then((loadedRender) => loadedRender(context))
+                : render(context);
+
+            if (isThenable(output)) {
+                return output.catch((error) => {
+                    throw attachSource(error);
+                });
+            }
+
+            return output;
+        } catch (error) {
+            throw attachSource(error);
+        }
+    }
+
+    async* stream(name, context) {
+        try {
+            const render = await this.#getRenderFunction(name);
+            yield* streamRender(render, context);
+        } catch (error) {
+            throw this.#attachSource(error);
+        }
+    }
+
+    streamTo(name, context, destination) {
+        return writeToStream(this.stream(name, context), destination);
+    }
+
+    hasTemplate(name) {
+        return this.#templates.has(name);
+    }
+
+    invalidate(name) {
+        if (name) {
+            this.#templates.delete(name);
+            this.#loadedPartials.delete(resolveTemplateName(name));
+            this.#sources.delete(name);
+        } else {
+            this.#templates.clear();
+            this.#loadedPartials.clear();
+            this.#sources.clear();
+        }
+        return this;
+    }
+
+    #getRenderFunction(name) {
+        const template = this.#templates.get(name);
+
+        if (template) {
+            return template.render;
+        }
+
+        const source = this.#loader ? this.#loader.resolve(name, null) : null;
+
+        // Loaders which support it may find a context schema file to go with the template.
+        const schemaSource = this.#loader && this.#options.validateContext !== false && typeof this.#loader.resolveSchema === 'function'
+            ? this.#loader.resolveSchema(name)
+            : null;
+
+        // Loaders may return a promise for the source when rendering asynchronously.
+        if (isThenable(source) || isThenable(schemaSource)) {
+            return Promise.all([ source, schemaSource ]).then(([ resolvedSource, resolvedSchemaSource ]) => {
+                return this.#compileLoadedTemplate(name, resolvedSource, resolvedSchemaSource);
+            });
+        }
+
+        return this.#compileLoadedTemplate(name, source, schemaSource);
+    }
+
+    #compileLoadedTemplate(name, source, schemaSource) {
+        if (typeof source !== 'string') {
+            throw new Error(`No template named "${ name }" has been compiled`);
+        }
+
+        if (typeof schemaSource === 'string') {
+            return this.compile(name, source, { schema: parseSchemaFile(name, schemaSource) });
+        }
+
+        return this.compile(name, source);
+    }
+
+    #createPrecompiledRender(name, createRender) {
+        if (typeof createRender !== 'function') {
+            throw new TypeError(`The precompiled template "${ name }" must be the default export of a precompiled module`);
+        }
+        return createRender(this.#helpers, this.#partials, this.#options);
+    }
+
+    #compileSource(name, source, templateOptions) {
+        // Options given for a single template override the engine options.
+        const options = templateOptions ? Object.assign({}, this.#options, templateOptions) : this.#options;
+
+        this.#sources.set(name, source);
+
+        try {
+            const tokens = tokenize(options, name, source);
+            const tree = this.#applyPlugins(options, buildSyntaxTree(options, tokens));
+            // The code generating backend is chosen with options.codegen.
+            const create = options.codegen ? compileRenderFunction : createRenderFunction;
+            const render = create(options, this.#helpers, this.#partials, tree);
+
+            if (options.validateContext === false) {
+                return render;
+            }
+
+            // A schema given in the options replaces the schema declared in the template.
+            const schema = options.schema || getSchemaDeclaration(tree);
+            return schema ? createValidatingRender(name, schema, options, render) : render;
+        } catch (error) {
+            throw this.#attachSource(error);
+        }
+    }
+
+    // Errors reported by plugins stop the template from compiling. Warnings are passed to options.onDiagnostic().
+    #applyPlugins(options, tree) {
+        if (this.#plugins.length === 0) {
+            return tree;
+        }
+
+        const result = transform(tree, this.#plugins, options);
+        const error = result.diagnostics.find(({ severity }) => severity === 'error');
+
+        if (error) {
+            throw new LineSyntaxError(error.message, error);
+        }
+
+        if (typeof options.onDiagnostic === 'function') {
+            result.diagnostics.forEach((diagnostic) => options.onDiagnostic(diagnostic));
+        }
+
+        return result.tree;
+    }
+
+    // Errors from templates compiled by this engine show the lines around the error.
+    #attachSource(error) {
+        if (error instanceof LineSyntaxError && this.#sources.has(error.filename)) {
+            error.setSourceLines(this.#sources.get(error.filename).split('\n'));
+        }
+        return error;
+    }
+
+    // Called by render functions when a partial is not found in the registered partials.
+    #resolvePartial(name, fromFilename) {
+        if (!this.#loader) {
+            return null;
+        }
+
+        // Partials loaded on demand are compiled using their resolved name as
+        // the filename, so partials they include are resolved relative to them.
+        const filename = resolveTemplateName(name, fromFilename);
+
+        if (this.#loadedPartials.has(filename)) {
+            return this.#loadedPartials.get(filename);
+        }
+
+        const source = this.#loader.resolve(name, fromFilename);
+
+        if (isThenable(source)) {
+            // Cache the pending partial so concurrent includes only load it once.
+            const promise = Promise.resolve(source).then((resolvedSource) => {
+                if (typeof resolvedSource !== 'string') {
+                    this.#loadedPartials.delete(filename);
+                    return null;
+                }
+
+                const loadedPartial = this.#compileSource(filename, resolvedSource);
+                this.#loadedPartials.set(filename, loadedPartial);
+                return loadedPartial;
+            }, (cause) => {
+                this.#loadedPartials.delete(filename);
+                throw cause;
+            });
+
+            this.#loadedPartials.set(filename, promise);
+            return promise;
+        }
+
+        if (typeof source !== 'string') {
+            return null;
+        }
+
+        const partial = this.#compileSource(filename, source);
+        this.#loadedPartials.set(filename, partial);
+        return partial;
+    }
+}
+
+// Validate the context before rendering. Templates rendered as partials or layouts
+// validate the context they are given, which may not be the root context.
+function createValidatingRender(name, schema, options, render) {
+    function validateAndRender(context, state) {
+        const errors = validateSchema(schema, context);
+
+        if (errors.length > 0) {
+            const error = new ContextValidationError(name, errors);
+            // Async render functions report errors by rejecting.
+            if (!state && options.async) {
+                return Promise.reject(error);
+            }
+            throw error;
+        }
+
+        return render(context, state);
+    }
+
+    // A streamed template checks the context before any output is sent.
+    validateAndRender.stream = function* validateAndStream(context, state) {
+        const errors = validateSchema(schema, context);
+
+        if (errors.length > 0) {
+            throw new ContextValidationError(name, errors);
+        }
+
+        yield* streamRenderOutput(render, context, state);
+    };
+
+    return validateAndRender;
+}
+
+function parseSchemaFile(name, source) {
+    try {
+        return JSON.parse(source);
+    } catch (cause) {
+        throw new Error(`Invalid JSON in the context schema for "${ name }": ${ cause.message }`, { cause });
+    }
+}
@@ -13,6 +13,9 @@ export default function tokenize(options, filename, utf8) {
 
     let lineIndex = 0;
     let inComment = false;
+    // Track an open triple mustache "{{{" so that a closing "}}}" is only
+    // recognized when it is expected.
+    let inTripleMustache = false;
 
     // Each line will break down as a new token, disregarding the "{{" "}}" syntax.
     for (; lineIndex < lines.length; lineIndex += 1) {
@@ -33,8 +36,9 @@ export default function tokenize(options, filename, utf8) {
             const char = line[index];
 
             if (char === '{') {
-                const openComment = line.slice(index, index + 5);
-                if (openComment === '{{!--') {
+                // A "~" marker trims the whitespace before a comment, like other tags.
+                const openComment = line.slice(index, index + 6) === '{{~!--' ? '{{~!--' : line.slice(index, index + 5);
+                if (openComment === '{{!--' || openComment === '{{~!--') {
                     if (tokenString.length > 0) {
                         pushToken({
                             endPosition: index - 1,
@@ -47,12 +51,32 @@ export default function tokenize(options, filename, utf8) {
                         lineNumber: lineIndex + 1,
                         startPosition: index,
                     };
-                    tokenString = '{{!--';
+                    tokenString = openComment;
                     inComment = true;
-                    index += 4;
+                    index += openComment.length - 1;
                     continue;
                 }
                 if (!inComment) {
+                    const openTripleMustache = line.slice(index, index + 3);
+                    if (openTripleMustache === '{{{') {
+                        if (tokenString.length > 0) {
+                            pushToken({
+                                endPosition: index - 1,
+                                tokenString,
+                                line,
+                            });
+                        }
+                        token = {
+                            filename,
+                            lineNumber: lineIndex + 1,
+                            startPosition: index,
+                        };
+                        tokenString = '{{{';
+                        inTripleMustache = true;
+                        index += 2;
+                        continue;
+                    }
+
                     const openMustache = line.slice(index, index + 2);
                     if (openMustache === '{{') {
                         if (tokenString.length > 0) {
@@ -75,6 +99,25 @@ export default function tokenize(options, filename, utf8) {
             }
 
             if (char === '}') {
+                if (inComment && line.slice(index - 3, index + 2) === '--~}}') {
+                    if (tokenString.length > 0) {
+                        pushToken({
+                            endPosition: index - 4,
+                            tokenString: tokenString.slice(0, -3),
+                            line,
+                        });
+                    }
+                    token = {
+                        filename,
+                        lineNumber: lineIndex + 1,
+                        startPosition: index - 3,
+                    };
+                    tokenString = '--~}}';
+                    inComment = false;
+                    index += 1;
+                    continue;
+                }
+
                 const closeComment = line.slice(index - 2, index + 2);
                 if (closeComment === '--}}') {
                     if (tokenString.length > 0) {
@@ -96,6 +139,26 @@ export default function tokenize(options, filename, utf8) {
                 }
 
                 if (!inComment) {
+                    const closeTripleMustache = line.slice(index, index + 3);
+                    if (inTripleMustache && closeTripleMustache === '}}}') {
+                        if (tokenString.length > 0) {
+                            pushToken({
+                                endPosition: index - 1,
+                                tokenString,
+                                line,
+                            });
+                        }
+                        token = {
+                            filename,
+                            lineNumber: lineIndex + 1,
+                            startPosition: index,
+                        };
+                        tokenString = '}}}';
+                        inTripleMustache = false;
+                        index += 2;
+                        continue;
+                    }
+
                     const closeMustache = line.slice(index, index + 2);
                     if (closeMustache === '}}') {
                         if (tokenString.length > 0) {
@@ -111,13 +174,14 @@ export default function tokenize(options, filename, utf8) {
                             startPosition: index,
                         };
                         tokenString = '}}';
+                        inTripleMustache = false;
                         index += 1;
                         continue;
                     }
                 }
             }
 
-            if (tokenString === '{{!--' || tokenString === '--}}') {
+            if (tokenString === '{{!--' || tokenString === '{{~!--' || tokenString === '--}}' || tokenString === '--~}}') {
                 pushToken({
                     endPosition: index - 1,
                     tokenString,
@@ -131,7 +195,7 @@ export default function tokenize(options, filename, utf8) {
                 tokenString = char;
                 continue;
             }
-            if (!inComment && (tokenString === '{{' || tokenString === '}}')) {
+            if (!inComment && (tokenString === '{{' || tokenString === '}}' || tokenString === '{{{' || tokenString === '}}}')) {
                 pushToken({
                     endPosition: index - 1,
                     tokenString,
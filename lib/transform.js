@@ -0,0 +1,84 @@
+import LineSyntaxError from './line-syntax-error.js';
+import createDiagnostic from './create-diagnostic.js';
+import traverse from './traverse.js';
+import { NODE_FORMAT_VERSION } from './build-syntax-tree.js';
+import { getTreeFilename } from './utils.js';
+
+
+const SEVERITIES = [ 'error', 'warning' ];
+
+
+// Run compiler plugins over a syntax tree from buildSyntaxTree(), in order. Each plugin walks
+// the tree with its own visitors, so it sees the changes made by the plugins before it. The
+// visitors are given a NodePath and a plugin context with the template filename, the options
+// and a report() function for diagnostics. Returns the changed tree and the diagnostics.
+export default function transform(tree, plugins, options) {
+    if (!Array.isArray(plugins)) {
+        throw new TypeError('transform() expects an Array of plugins');
+    }
+
+    // Nodes added by plugins may not have tokens, so find the filename before they run.
+    const filename = getTreeFilename(tree);
+    const diagnostics = [];
+
+    for (const plugin of plugins) {
+        assertValidPlugin(plugin);
+
+        const context = {
+            filename,
+            options: options || {},
+            // Report a problem at a node, or at a NodePath, which reports at the closest tag
+            // when the node is in the expression of a tag.
+            report(target, { severity = 'error', code = 'PLUGIN_DIAGNOSTIC', message }) {
+                if (!SEVERITIES.includes(severity)) {
+                    throw new TypeError(`The severity of a diagnostic must be "error" or "warning", not "${ severity }"`);
+                }
+
+                const token = findToken(target) || { filename, lineNumber: 1, startPosition: 0, endPosition: 0, line: '' };
+                const error = new LineSyntaxError(
+                    `${ plugin.name }: ${ message } in "${ token.filename }" on line ${ token.lineNumber }`,
+                    Object.assign({}, token, { code })
+                );
+
+                diagnostics.push(Object.assign(createDiagnostic(severity, error), { plugin: plugin.name }));
+            },
+        };
+
+        traverse(tree, plugin.visitors, context);
+    }
+
+    return { tree, diagnostics };
+}
+
+// Plugins are checked when they are registered, rather than when the first template is compiled.
+export function assertValidPlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name) {
+        throw new TypeError('A compiler plugin must be an object with a name');
+    }
+    if (!plugin.visitors || typeof plugin.visitors !== 'object') {
+        throw new TypeError(`The plugin "${ plugin.name }" must have an object of visitors keyed by node type`);
+    }
+    if (typeof plugin.nodeFormat !== 'undefined' && plugin.nodeFormat !== NODE_FORMAT_VERSION) {
+        throw new Error(
+            `The plugin "${ plugin.name }" is written for syntax tree node format ${ plugin.nodeFormat }, but this version uses node format ${ NODE_FORMAT_VERSION }`
+        );
+    }
+}
+
+function findToken(target) {
+    if (!target) {
+        return null;
+    }
+
+    // A NodePath.
+    if (typeof target.findParent === 'function') {
+        const path = hasTokens(target.node) ? target : target.findParent(({ node }) => hasTokens(node));
+        return path ? path.node.tokens[0] : null;
+    }
+
+    return hasTokens(target) ? target.tokens[0] : null;
+}
+
+function hasTokens(node) {
+    return Boolean(node) && Array.isArray(node.tokens) && node.tokens.length > 0;
+}
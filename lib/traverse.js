@@ -0,0 +1,235 @@
+// Node types which stand in the template, rather than in the expression of a tag. Only these have tokens.
+const TEMPLATE_NODE_TYPES = new Set([
+    'CONTENT',
+    'COMMENT',
+    'PATH_EXPRESSION',
+    'HELPER_EXPRESSION',
+    'PARTIAL',
+    'BLOCK_OPEN',
+    'ELSE',
+    'BLOCK_CLOSE',
+    'EXTENDS',
+    'BLOCK',
+]);
+
+
+// Walk a syntax tree from buildSyntaxTree() in document order, calling the visitor for the
+// type of each node with a NodePath and the given state. A visitor is a function called when
+// the node is entered, or an object with enter() and exit() functions, where exit() is called
+// after the nodes inside it. Expression nodes like PATH and LITERAL are visited after the tag
+// node they belong to. The tree is changed in place and returned.
+export default function traverse(tree, visitors, state) {
+    if (!Array.isArray(tree)) {
+        throw new TypeError('traverse() expects the syntax tree Array returned by buildSyntaxTree()');
+    }
+    if (!visitors || typeof visitors !== 'object') {
+        throw new TypeError('traverse() expects an object of visitor functions keyed by node type');
+    }
+
+    NodePath.visitList(tree, null, visitors, state);
+
+    return tree;
+}
+
+class NodePath {
+
+    #container = null;
+    #key = null;
+    #removed = false;
+    #skipped = false;
+    // The number of nodes which took the place of this node when it was replaced.
+    #replacementCount = 0;
+    #insertedAfterCount = 0;
+
+    constructor(node, container, key, parentPath) {
+        Object.defineProperties(this, {
+            node: {
+                enumerable: true,
+                value: node,
+            },
+            parentPath: {
+                enumerable: true,
+                value: parentPath,
+            },
+            parent: {
+                enumerable: true,
+                value: parentPath ? parentPath.node : null,
+            },
+        });
+
+        this.#container = container;
+        this.#key = key;
+    }
+
+    // The Array which holds the node, or the KEY_VALUE node when this is its value.
+    get container() {
+        return this.#container;
+    }
+
+    // The index of the node in its container, or "value" for the value of a KEY_VALUE node.
+    get key() {
+        return this.#key;
+    }
+
+    get removed() {
+        return this.#removed;
+    }
+
+    // Replace the node with one or more nodes, which are not visited. Template nodes without
+    // tokens are given the tokens of the node they replace, so errors point to its location.
+    replaceWith(nodes) {
+        this.#assertNotRemoved('replace');
+
+        const replacements = [].concat(nodes);
+        replacements.forEach((node) => inheritTokens(node, this.node.tokens));
+
+        if (Array.isArray(this.#container)) {
+            this.#container.splice(this.#key, 1, ...replacements);
+        } else if (replacements.length === 1) {
+            this.#container[this.#key] = replacements[0];
+        } else {
+            throw new TypeError('The value of a KEY_VALUE node must be replaced with a single node');
+        }
+
+        this.#removed = true;
+        this.#replacementCount = replacements.length;
+        return this;
+    }
+
+    remove() {
+        this.#assertNotRemoved('remove');
+
+        if (!Array.isArray(this.#container)) {
+            throw new TypeError('The value of a KEY_VALUE node cannot be removed; replace it instead');
+        }
+
+        this.#container.splice(this.#key, 1);
+        this.#removed = true;
+        return this;
+    }
+
+    // Insert nodes before this node. They are not visited.
+    insertBefore(nodes) {
+        this.#assertNotRemoved('insert before');
+
+        const insertions = this.#getInsertions(nodes);
+        this.#container.splice(this.#key, 0, ...insertions);
+        this.#key += insertions.length;
+        return this;
+    }
+
+    // Insert nodes after this node, and after nodes inserted before them. They are not visited.
+    insertAfter(nodes) {
+        this.#assertNotRemoved('insert after');
+
+        const insertions = this.#getInsertions(nodes);
+        this.#container.splice(this.#key + 1 + this.#insertedAfterCount, 0, ...insertions);
+        this.#insertedAfterCount += insertions.length;
+        return this;
+    }
+
+    // Do not visit the nodes inside this node. The exit visitor is still called.
+    skip() {
+        this.#skipped = true;
+        return this;
+    }
+
+    // Find the closest ancestor path for which the predicate returns true.
+    findParent(predicate) {
+        let path = this.parentPath;
+        while (path && !predicate(path)) {
+            path = path.parentPath;
+        }
+        return path || null;
+    }
+
+    #assertNotRemoved(action) {
+        if (this.#removed) {
+            throw new Error(`Cannot ${ action } a ${ this.node.type } node which has already been removed or replaced`);
+        }
+    }
+
+    #getInsertions(nodes) {
+        if (!Array.isArray(this.#container)) {
+            throw new TypeError('Nodes cannot be inserted next to the value of a KEY_VALUE node');
+        }
+
+        const insertions = [].concat(nodes);
+        insertions.forEach((node) => inheritTokens(node, this.node.tokens));
+        return insertions;
+    }
+
+    static visitList(list, parentPath, visitors, state) {
+        let index = 0;
+
+        // Visitors may remove, replace and insert nodes in the list as it is walked.
+        while (index < list.length) {
+            const path = new NodePath(list[index], list, index, parentPath);
+            path.#visit(visitors, state);
+
+            const count = path.#removed ? path.#replacementCount : 1;
+            index = path.#key + count + path.#insertedAfterCount;
+        }
+    }
+
+    #visit(visitors, state) {
+        const { node } = this;
+        const visitor = visitors[node.type];
+        const enter = typeof visitor === 'function' ? visitor : visitor && visitor.enter;
+        const exit = visitor && typeof visitor.exit === 'function' ? visitor.exit : null;
+
+        if (typeof enter === 'function') {
+            enter(this, state);
+        }
+
+        if (this.#removed) {
+            return;
+        }
+
+        if (!this.#skipped) {
+            this.#visitChildren(visitors, state);
+        }
+
+        if (exit && !this.#removed) {
+            exit(this, state);
+        }
+    }
+
+    #visitChildren(visitors, state) {
+        const { node } = this;
+
+        switch (node.type) {
+            case 'PATH_EXPRESSION':
+            case 'HELPER_EXPRESSION':
+            case 'PARTIAL':
+            case 'SUBEXPRESSION':
+                NodePath.visitList(node.exp, this, visitors, state);
+                break;
+            case 'BLOCK_OPEN':
+                NodePath.visitList(node.exp, this, visitors, state);
+                NodePath.visitList(node.children, this, visitors, state);
+                break;
+            case 'EXTENDS':
+            case 'BLOCK':
+                NodePath.visitList(node.children, this, visitors, state);
+                break;
+            case 'KEY_VALUE':
+                new NodePath(node.value, node, 'value', this).#visit(visitors, state);
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+function inheritTokens(node, tokens) {
+    if (!tokens || !node || !TEMPLATE_NODE_TYPES.has(node.type)) {
+        return;
+    }
+    if (!Array.isArray(node.tokens)) {
+        node.tokens = tokens;
+    }
+    if (Array.isArray(node.children)) {
+        node.children.forEach((child) => inheritTokens(child, tokens));
+    }
+}
@@ -28,3 +28,175 @@ export function escapeHTMLChars(str) {
     }
     return str;
 }
+
+// Resolve a template name to a normalized, slash delineated name. Names
+// beginning with "./" or "../" are resolved relative to the directory of the
+// including template filename. The result may begin with "../" when a
+// relative name climbs out of the root; loaders should refuse those.
+export function resolveTemplateName(name, fromFilename) {
+    let parts = [];
+
+    if (/^\.\.?\//.test(name) && fromFilename) {
+        parts = fromFilename.split('/');
+        // Remove the filename, leaving the directory parts.
+        parts.pop();
+    }
+
+    for (const part of name.split('/')) {
+        if (part === '..') {
+            if (parts.length > 0 && parts[parts.length - 1] !== '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    }
+
+    return parts.join('/');
+}
+
+// The name of the context schema file which goes with a template, like "pages/home.schema.json"
+// for "pages/home.html".
+export function getSchemaFilename(name) {
+    const basename = name.split('/').pop();
+    const extensionIndex = basename.lastIndexOf('.');
+    const stem = extensionIndex > 0 ? name.slice(0, name.length - basename.length + extensionIndex) : name;
+    return `${ stem }.schema.json`;
+}
+
+// Find the name a partial is registered with in a Map of partials. Partials are registered
+// by name, or found relative to the including template like a loader finds them.
+export function findPartialName(partials, name, fromFilename) {
+    if (partials.has(name)) {
+        return name;
+    }
+
+    const filename = resolveTemplateName(name, fromFilename);
+    return partials.has(filename) ? filename : null;
+}
+
+// URL schemes which are allowed at the start of a URL attribute value.
+const SAFE_URL_SCHEMES = [
+    'http',
+    'https',
+    'mailto',
+    'tel',
+    'ftp',
+];
+
+// Replaces a URL which uses a scheme like "javascript:".
+export const UNSAFE_URL_REPLACEMENT = 'about:invalid#unsafe-url';
+
+export function toOutputString(val) {
+    if (typeof val === 'undefined' || val === null) {
+        return '';
+    }
+    // eslint-disable-next-line no-implicit-coercion
+    return typeof val === 'string' ? val : val + '';
+}
+
+function toHexEscape(chr, prefix, length) {
+    return prefix + chr.codePointAt(0).toString(16).toUpperCase().padStart(length, '0');
+}
+
+export function escapeUnquotedAttribute(str) {
+    return escapeHTMLChars(str).replace(/\s/g, (chr) => `${ toHexEscape(chr, '&#x', 0) };`);
+}
+
+// Filter out dangerous URL schemes like "javascript:". Browsers ignore
+// whitespace and control characters in the scheme, so we do too.
+export function filterURL(str) {
+    // eslint-disable-next-line no-control-regex
+    const match = /^([a-zA-Z][a-zA-Z0-9+.-]*):/.exec(toOutputString(str).replace(/[\u0000-\u0020]/g, ''));
+
+    if (match && !SAFE_URL_SCHEMES.includes(match[1].toLowerCase())) {
+        return UNSAFE_URL_REPLACEMENT;
+    }
+    return toOutputString(str);
+}
+
+// Percent encode characters which are not allowed in a URL while leaving
+// existing percent encoded sequences and URL delimiters in place.
+export function normalizeURL(str) {
+    return toOutputString(str).replace(/%(?![0-9a-fA-F]{2})|[^\w\-.~:/?#[\]@!$&'()*+,;=%]/gu, encodeURIComponent);
+}
+
+export function escapeJSString(str) {
+    // eslint-disable-next-line no-control-regex
+    return toOutputString(str).replace(/[\\'"`<>&=\u2028\u2029]|[\u0000-\u001f]/g, (chr) => {
+        return toHexEscape(chr, '\\u', 4);
+    });
+}
+
+export function escapeJSValue(val) {
+    const json = JSON.stringify(val === '' ? '' : val);
+
+    if (typeof json === 'undefined') {
+        return 'null';
+    }
+
+    // Prevent the value from closing a script element or starting an HTML comment.
+    return json.replace(/[<>&\u2028\u2029]/g, (chr) => toHexEscape(chr, '\\u', 4));
+}
+
+export function escapeCSS(str) {
+    return toOutputString(str).replace(/[^\w .,#%+-]/gu, (chr) => `${ toHexEscape(chr, '\\', 0) } `);
+}
+
+// Inside a quoted CSS string only the characters which could end the string or the style
+// element are escaped, so the value keeps its text.
+export function escapeCSSString(str) {
+    // eslint-disable-next-line no-control-regex
+    return toOutputString(str).replace(/[\\"'<>]|[\u0000-\u001f\u007f]/g, (chr) => `${ toHexEscape(chr, '\\', 0) } `);
+}
+
+// Create an escape function for the context description returned by HTMLContext.
+export function createContextEscaper(escapeContext) {
+    let escapeValue;
+
+    switch (escapeContext.type) {
+        case 'url':
+            if (escapeContext.urlPart === 'start') {
+                escapeValue = (val) => normalizeURL(filterURL(val));
+            } else if (escapeContext.urlPart === 'path') {
+                escapeValue = normalizeURL;
+            } else {
+                escapeValue = (val) => encodeURIComponent(toOutputString(val));
+            }
+            break;
+        case 'js':
+            escapeValue = escapeContext.jsQuote ? escapeJSString : escapeJSValue;
+            break;
+        case 'css':
+            escapeValue = escapeContext.cssQuote ? escapeCSSString : escapeCSS;
+            break;
+        default:
+            escapeValue = toOutputString;
+    }
+
+    // Not in an attribute: The content of script and style elements must not be HTML escaped.
+    if (escapeContext.quote === null) {
+        return escapeContext.type === 'html' ? escapeHTMLChars : escapeValue;
+    }
+    if (escapeContext.quote === '') {
+        return (val) => escapeUnquotedAttribute(escapeValue(val));
+    }
+    return (val) => escapeHTMLChars(escapeValue(val));
+}
+
+export function isThenable(val) {
+    return Boolean(val) && typeof val.then === 'function';
+}
+
+// Syntax trees do not record a filename of their own, so take it from the first token.
+export function getTreeFilename(tree) {
+    const node = tree.find((n) => n.tokens && n.tokens.length > 0);
+    return node ? node.tokens[0].filename : null;
+}
+
+// Prefix each line of a string with the indentation, leaving blank lines empty.
+export function indentLines(str, indent) {
+    return str.replace(/^(?=[^\n])/gm, indent);
+}
@@ -0,0 +1,230 @@
+import { isThenable } from './utils.js';
+
+
+const TYPE_NAMES = [
+    'null',
+    'boolean',
+    'object',
+    'array',
+    'number',
+    'integer',
+    'string',
+];
+
+
+// Validate a value against a JSON Schema, and return a list of errors with the path to each
+// invalid value, like "posts[2].title". Only the keywords which describe the shape of a
+// template context are supported; other keywords, like "format", are ignored. Promises
+// are not validated, since they are only resolved when the output reaches them.
+export default function validateSchema(schema, value) {
+    const errors = [];
+
+    function report(path, keyword, message) {
+        errors.push({ path, keyword, message });
+    }
+
+    function resolveRef(ref, path) {
+        // Only references within the schema, like "#/$defs/post", are supported.
+        if (!ref.startsWith('#')) {
+            throw new Error(`Unsupported $ref "${ ref }" at ${ path || 'the schema root' }; only local references are supported`);
+        }
+
+        let target = schema;
+
+        for (const part of ref.slice(1).split('/').slice(1)) {
+            const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+            target = target && typeof target === 'object' ? target[key] : undefined;
+        }
+
+        if (typeof target === 'undefined') {
+            throw new Error(`The $ref "${ ref }" does not refer to a schema`);
+        }
+
+        return target;
+    }
+
+    // Validate without reporting, for the anyOf and oneOf keywords.
+    function isValid(subSchema, val, path) {
+        const errorCount = errors.length;
+        validate(subSchema, val, path);
+        const valid = errors.length === errorCount;
+        errors.length = errorCount;
+        return valid;
+    }
+
+    function validate(subSchema, val, path) {
+        if (subSchema === true || isThenable(val)) {
+            return;
+        }
+        if (subSchema === false) {
+            report(path, 'false', 'is not allowed');
+            return;
+        }
+
+        if (subSchema.$ref) {
+            validate(resolveRef(subSchema.$ref, path), val, path);
+        }
+
+        if (typeof subSchema.type !== 'undefined') {
+            const types = Array.isArray(subSchema.type) ? subSchema.type : [ subSchema.type ];
+
+            if (!types.some((type) => isType(type, val))) {
+                report(path, 'type', `must be ${ types.map(withArticle).join(' or ') }, but is ${ withArticle(getTypeName(val)) }`);
+                // The other keywords would only repeat the same problem.
+                return;
+            }
+        }
+
+        if (Array.isArray(subSchema.enum) && !subSchema.enum.some((option) => isEqual(option, val))) {
+            report(path, 'enum', `must be one of ${ subSchema.enum.map((option) => JSON.stringify(option)).join(', ') }`);
+        }
+        if (Object.hasOwn(subSchema, 'const') && !isEqual(subSchema.const, val)) {
+            report(path, 'const', `must be ${ JSON.stringify(subSchema.const) }`);
+        }
+
+        if (typeof val === 'string') {
+            validateString(subSchema, val, path);
+        } else if (typeof val === 'number') {
+            validateNumber(subSchema, val, path);
+        } else if (Array.isArray(val)) {
+            validateArray(subSchema, val, path);
+        } else if (val && typeof val === 'object') {
+            validateObject(subSchema, val, path);
+        }
+
+        if (Array.isArray(subSchema.allOf)) {
+            subSchema.allOf.forEach((option) => validate(option, val, path));
+        }
+        if (Array.isArray(subSchema.anyOf) && !subSchema.anyOf.some((option) => isValid(option, val, path))) {
+            report(path, 'anyOf', 'does not match any of the allowed schemas');
+        }
+        if (Array.isArray(subSchema.oneOf)) {
+            const matchCount = subSchema.oneOf.filter((option) => isValid(option, val, path)).length;
+            if (matchCount !== 1) {
+                report(path, 'oneOf', `must match exactly one of the allowed schemas, but matches ${ matchCount }`);
+            }
+        }
+    }
+
+    function validateString(subSchema, val, path) {
+        // Lengths are counted in code points, like JSON Schema does.
+        const { length } = Array.from(val);
+
+        if (typeof subSchema.minLength === 'number' && length < subSchema.minLength) {
+            report(path, 'minLength', `must be at least ${ subSchema.minLength } characters long`);
+        }
+        if (typeof subSchema.maxLength === 'number' && length > subSchema.maxLength) {
+            report(path, 'maxLength', `must be at most ${ subSchema.maxLength } characters long`);
+        }
+        if (typeof subSchema.pattern === 'string' && !new RegExp(subSchema.pattern, 'u').test(val)) {
+            report(path, 'pattern', `must match the pattern ${ subSchema.pattern }`);
+        }
+    }
+
+    function validateNumber(subSchema, val, path) {
+        if (typeof subSchema.minimum === 'number' && val < subSchema.minimum) {
+            report(path, 'minimum', `must be at least ${ subSchema.minimum }`);
+        }
+        if (typeof subSchema.maximum === 'number' && val > subSchema.maximum) {
+            report(path, 'maximum', `must be at most ${ subSchema.maximum }`);
+        }
+        if (typeof subSchema.exclusiveMinimum === 'number' && val <= subSchema.exclusiveMinimum) {
+            report(path, 'exclusiveMinimum', `must be greater than ${ subSchema.exclusiveMinimum }`);
+        }
+        if (typeof subSchema.exclusiveMaximum === 'number' && val >= subSchema.exclusiveMaximum) {
+            report(path, 'exclusiveMaximum', `must be less than ${ subSchema.exclusiveMaximum }`);
+        }
+    }
+
+    function validateArray(subSchema, val, path) {
+        if (typeof subSchema.minItems === 'number' && val.length < subSchema.minItems) {
+            report(path, 'minItems', `must have at least ${ subSchema.minItems } items`);
+        }
+        if (typeof subSchema.maxItems === 'number' && val.length > subSchema.maxItems) {
+            report(path, 'maxItems', `must have at most ${ subSchema.maxItems } items`);
+        }
+        if (typeof subSchema.items !== 'undefined') {
+            val.forEach((item, index) => validate(subSchema.items, item, `${ path }[${ index }]`));
+        }
+    }
+
+    function validateObject(subSchema, val, path) {
+        const properties = subSchema.properties || {};
+
+        if (Array.isArray(subSchema.required)) {
+            for (const key of subSchema.required) {
+                if (!Object.hasOwn(val, key) || typeof val[key] === 'undefined') {
+                    report(joinPath(path, key), 'required', 'is required');
+                }
+            }
+        }
+
+        for (const key of Object.keys(val)) {
+            if (Object.hasOwn(properties, key)) {
+                validate(properties[key], val[key], joinPath(path, key));
+            } else if (typeof subSchema.additionalProperties !== 'undefined') {
+                if (subSchema.additionalProperties === false) {
+                    report(joinPath(path, key), 'additionalProperties', 'is not an allowed property');
+                } else {
+                    validate(subSchema.additionalProperties, val[key], joinPath(path, key));
+                }
+            }
+        }
+    }
+
+    validate(schema, value, '');
+
+    return errors;
+}
+
+function isType(type, val) {
+    if (!TYPE_NAMES.includes(type)) {
+        throw new Error(`Unknown schema type "${ type }"`);
+    }
+    if (type === 'integer') {
+        return Number.isInteger(val);
+    }
+    return getTypeName(val) === type || (type === 'number' && typeof val === 'number');
+}
+
+function getTypeName(val) {
+    if (val === null) {
+        return 'null';
+    }
+    if (Array.isArray(val)) {
+        return 'array';
+    }
+    if (typeof val === 'number') {
+        return Number.isInteger(val) ? 'integer' : 'number';
+    }
+    return typeof val;
+}
+
+function withArticle(typeName) {
+    if (typeName === 'null' || typeName === 'undefined') {
+        return typeName;
+    }
+    return /^[aeiou]/.test(typeName) ? `an ${ typeName }` : `a ${ typeName }`;
+}
+
+// Keys which are not identifiers are written in brackets, like `labels["sign-in"]`.
+function joinPath(path, key) {
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return path ? `${ path }.${ key }` : key;
+    }
+    return `${ path }[${ JSON.stringify(key) }]`;
+}
+
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (Array.isArray(a)) {
+        return Array.isArray(b) && a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every((key) => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+    }
+    return false;
+}
@@ -1,13 +1,50 @@
 import tokenize from './lib/tokenize.js';
-import buildSyntaxTree from './lib/build-syntax-tree.js';
+import buildSyntaxTree, { NODE_FORMAT_VERSION } from './lib/build-syntax-tree.js';
 import createRenderFunction from './lib/create-render-function.js';
+import createAsyncRenderFunction from './lib/create-async-render-function.js';
+import compileRenderFunction, { createCompiledRenderFunction } from './lib/compile-render-function.js';
+import createStreamRenderFunction from './lib/create-stream-render-function.js';
+import streamRender, { writeToStream } from './lib/stream-render.js';
+import precompile from './lib/precompile.js';
+import print from './lib/print.js';
+import traverse from './lib/traverse.js';
+import transform from './lib/transform.js';
+import analyze from './lib/analyze.js';
+import lintDirectory from './lib/lint-directory.js';
+import extractDataContract from './lib/extract-data-contract.js';
+import createJSONSchema from './lib/create-json-schema.js';
+import validateSchema from './lib/validate-schema.js';
+import TemplateEngine from './lib/template-engine.js';
+import FileSystemLoader from './lib/file-system-loader.js';
+import MemoryLoader from './lib/memory-loader.js';
 import helpers from './lib/helpers/mod.js';
+import escapers from './lib/escapers.js';
 import { escapeHTMLChars } from './lib/utils.js';
 
 export {
     tokenize,
     buildSyntaxTree,
+    NODE_FORMAT_VERSION,
     createRenderFunction,
+    createAsyncRenderFunction,
+    compileRenderFunction,
+    createCompiledRenderFunction,
+    createStreamRenderFunction,
+    streamRender,
+    writeToStream,
+    precompile,
+    print,
+    traverse,
+    transform,
+    analyze,
+    lintDirectory,
+    extractDataContract,
+    createJSONSchema,
+    validateSchema,
+    TemplateEngine,
+    FileSystemLoader,
+    MemoryLoader,
     helpers,
+    escapers,
     escapeHTMLChars
 };
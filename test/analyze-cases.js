@@ -0,0 +1,118 @@
+import { fileURLToPath } from 'node:url';
+import { assertEqual } from 'kixx-assert';
+import tokenize from '../lib/tokenize.js';
+import buildSyntaxTree from '../lib/build-syntax-tree.js';
+import analyze from '../lib/analyze.js';
+import lintDirectory from '../lib/lint-directory.js';
+import helpers from '../lib/helpers/mod.js';
+
+
+const LINT_FIXTURES_DIR = new URL('./lint-fixtures/', import.meta.url);
+
+
+function parse(filename, source) {
+    return buildSyntaxTree(null, tokenize(null, filename, source));
+}
+
+// Describe each diagnostic as "line:column severity code" for easy comparison.
+function describeDiagnostics(diagnostics) {
+    return diagnostics.map(({ lineNumber, startPosition, severity, code }) => {
+        return `${ lineNumber }:${ startPosition } ${ severity } ${ code }`;
+    }).join('\n');
+}
+
+
+export default [
+    function test_helperChecks() {
+        const source = [
+            '{{#each rows as |row|}}',
+            '    {{#each row.cells as |row|}}{{ row }}{{/each}}',
+            '{{/each}}',
+            '{{#each items}}{{ title }}{{/each}}',
+            '{{ format_date (upper date) }}',
+            '<p>{{ noop }} {{ noop.value }} {{ this.noop }}</p>',
+            '{{#if (ifEqual status "open") }}open{{/if}}',
+        ].join('\n');
+
+        const result = analyze(parse('page.html', source), { helpers });
+
+        assertEqual([
+            '2:6 warning SHADOWED_BLOCK_PARAM',
+            '4:2 error MISSING_BLOCK_PARAMS',
+            '5:2 error UNKNOWN_HELPER',
+            '5:2 error UNKNOWN_HELPER',
+            '6:5 warning HELPER_SHADOWS_CONTEXT',
+        ].join('\n'), describeDiagnostics(result.diagnostics));
+
+        assertEqual('No helper named "upper" in "page.html" on line 5', result.diagnostics[3].message);
+        assertEqual(
+            '"noop" in "page.html" on line 6 refers to the helper "noop" rather than a context value',
+            result.diagnostics[4].message
+        );
+
+        assertEqual('each,format_date,if,ifEqual,upper', result.helpers.join(','));
+        // Partials are not checked unless they are given.
+        assertEqual('', result.partials.join(','));
+    },
+
+    function test_partialChecks() {
+        const partials = new Map([
+            [ 'layouts/base.html', parse('layouts/base.html', '{{#block "body"}}{{/block}}') ],
+            [ 'partials/card.html', parse('partials/card.html', '{{> ./link.html }}') ],
+            [ 'partials/link.html', parse('partials/link.html', '{{> partials/card.html }}') ],
+        ]);
+
+        const source = [
+            '{{#extends "layouts/base.html"}}',
+            '{{#block "body"}}',
+            '{{> partials/card.html }}',
+            '{{> partials/missing.html }}',
+            '{{/block}}',
+            '{{/extends}}',
+        ].join('\n');
+
+        const result = analyze(parse('page.html', source), { partials });
+
+        assertEqual('4:2 error UNKNOWN_PARTIAL', describeDiagnostics(result.diagnostics));
+        assertEqual('layouts/base.html,partials/card.html,partials/missing.html', result.partials.join(','));
+
+        // Relative names are resolved from the including template.
+        const cycle = analyze(partials.get('partials/card.html'), { partials });
+
+        assertEqual('1:2 error PARTIAL_CYCLE', describeDiagnostics(cycle.diagnostics));
+        assertEqual(
+            'The partial "./link.html" in "partials/card.html" on line 1 includes this template again: partials/card.html > partials/link.html > partials/card.html',
+            cycle.diagnostics[0].message
+        );
+    },
+
+    function test_lintDirectory() {
+        const { templates, diagnostics } = lintDirectory(fileURLToPath(LINT_FIXTURES_DIR), { partials: 'partials/' });
+
+        // Files without a template extension are skipped.
+        assertEqual(
+            'pages/broken.html,pages/home.html,partials/header.html,partials/nav.html,partials/unused.html',
+            templates.join(',')
+        );
+
+        assertEqual([
+            'pages/broken.html UNCLOSED_BLOCK',
+            'pages/home.html MISSING_BLOCK_PARAMS',
+            'pages/home.html UNKNOWN_HELPER',
+            'partials/header.html PARTIAL_CYCLE',
+            'partials/nav.html PARTIAL_CYCLE',
+            'partials/unused.html UNUSED_PARTIAL',
+        ].join('\n'), diagnostics.map(({ filename, code }) => `${ filename } ${ code }`).join('\n'));
+
+        const custom = lintDirectory(fileURLToPath(LINT_FIXTURES_DIR), {
+            helpers: new Map(helpers).set('format_date', () => ''),
+            extensions: [ '.html', '.txt' ],
+        });
+
+        assertEqual(6, custom.templates.length);
+        assertEqual(
+            'pages/broken.html,pages/home.html,partials/header.html,partials/nav.html',
+            custom.diagnostics.map(({ filename }) => filename).join(',')
+        );
+    },
+];
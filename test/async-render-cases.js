@@ -0,0 +1,205 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import { AssertionError, assert, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+import LineSyntaxError from '../lib/line-syntax-error.js';
+
+
+export default [
+    async function test_asyncContextValues() {
+        const engine = new TemplateEngine({ async: true });
+
+        engine.compile('page.html', '<h1>{{ title }}</h1>{{#each items as |item|}}<li>{{ item.name }}</li>{{/each}}{{ author.name }}');
+
+        const html = await engine.render('page.html', {
+            title: delay(10, 'Slow <title>'),
+            items: Promise.resolve([
+                { name: delay(5, 'a') },
+                { name: 'b' },
+            ]),
+            author: delay(1, { name: 'Jane' }),
+        });
+
+        assertEqual('<h1>Slow &lt;title&gt;</h1><li>a</li><li>b</li>Jane\n', html);
+    },
+
+    async function test_asyncHelpersRunConcurrently() {
+        const engine = new TemplateEngine({ async: true });
+        const started = [];
+
+        engine.registerHelper('fetch', async (context, options, name, ms) => {
+            started.push(name);
+            await delay(ms);
+            return `[${ name }]`;
+        });
+
+        engine.compile('page.html', '{{fetch "first" 20 }}{{fetch "second" 1 }}{{fetch title 1 }}');
+
+        const html = await engine.render('page.html', { title: Promise.resolve('third') });
+
+        assertEqual('[first][second][third]\n', html);
+        // Both of the first helpers were started before either one had finished.
+        assertEqual('first', started[0]);
+        assertEqual('second', started[1]);
+    },
+
+    async function test_asyncBlockHelperOutput() {
+        const engine = new TemplateEngine({ async: true });
+        const lookups = [];
+        const calls = { upper: 0, wrap: 0 };
+
+        // A helper which changes the output of its block awaits it.
+        engine.registerHelper('upper', async function upper(context) {
+            calls.upper += 1;
+            // eslint-disable-next-line no-invalid-this
+            const output = await this.renderPrimary(context);
+            return output.toUpperCase();
+        });
+
+        engine.registerHelper('wrap', function wrap(context) {
+            calls.wrap += 1;
+            // eslint-disable-next-line no-invalid-this
+            return `<b>${ this.renderPrimary(context) }</b>`;
+        });
+
+        engine.registerHelper('lookup', (context, options, key) => {
+            lookups.push(key);
+            return delay(1, `<${ key }>`);
+        });
+
+        engine.compile('page.html', '{{#upper}}hi {{ name }}{{/upper}}|{{#upper}}{{#each items as |item|}}{{lookup item }}{{ note }}{{/each}}{{/upper}}|{{#wrap}}{{ name }}{{/wrap}}');
+
+        const html = await engine.render('page.html', {
+            name: delay(1, 'Ada'),
+            items: [ 'a', 'b' ],
+            // Context strings are never mistaken for pending output.
+            note: '\u0000kx0:0\u0000',
+        });
+
+        assertEqual('HI ADA|<A>\u0000KX0:0\u0000<B>\u0000KX0:0\u0000|<b>Ada</b>\n', html);
+        // Block helpers are called once, and their blocks are rendered once.
+        assertEqual(2, calls.upper);
+        assertEqual(1, calls.wrap);
+        assertEqual('a,b', lookups.join(','));
+
+        const chunks = [];
+        for await (const chunk of engine.stream('page.html', { name: delay(1, 'Ada'), items: [], note: '' })) {
+            chunks.push(chunk);
+        }
+
+        assertEqual('HI ADA||<b>Ada</b>\n', chunks.join(''));
+    },
+
+    async function test_asyncBlockHelperChangesPendingOutput() {
+        const engine = new TemplateEngine({ async: true });
+
+        engine.registerHelper('shout', function shout(context) {
+            // eslint-disable-next-line no-invalid-this
+            return this.renderPrimary(context).toUpperCase();
+        });
+
+        engine.compile('page.html', '{{#shout}}hi {{ name }}{{/shout}}');
+
+        // The output of a block which is ready is given to the helper as a string.
+        assertEqual('HI ADA\n', await engine.render('page.html', { name: 'Ada' }));
+
+        try {
+            await engine.render('page.html', { name: delay(1, 'Ada') });
+        } catch (error) {
+            assertEqual('HELPER_ERROR', error.code);
+            assert(error.cause.message.includes('await this.renderPrimary()'), 'the error says to await the block');
+            return;
+        }
+
+        throw new AssertionError('Expected render() to reject');
+    },
+
+    async function test_asyncPartialLoader() {
+        const sources = {
+            'card.html': '<div>{{ title }}</div>',
+        };
+
+        let loadCount = 0;
+
+        const engine = new TemplateEngine({
+            async: true,
+            loader: {
+                async resolve(name) {
+                    loadCount += 1;
+                    await delay(1);
+                    return sources[name] || null;
+                },
+            },
+        });
+
+        sources['page.html'] = '{{> card.html }}{{> card.html title="Two" }}';
+
+        const html = await engine.render('page.html', { title: 'One' });
+
+        assertEqual('<div>One</div>\n<div>Two</div>\n\n', html);
+        // The page and the card partial are each only loaded once.
+        assertEqual(2, loadCount);
+    },
+
+    async function test_asyncHelperError() {
+        const engine = new TemplateEngine({ async: true });
+
+        engine.registerHelper('fail', async () => {
+            await delay(1);
+            throw new Error('Service unavailable');
+        });
+
+        engine.compile('page.html', 'Line 1\n{{fail "now" }}');
+
+        try {
+            await engine.render('page.html', {});
+        } catch (error) {
+            assert(error instanceof LineSyntaxError);
+            assertEqual('Error in helper "fail" in "page.html" on line 2', error.message);
+            assertEqual('Service unavailable', error.cause.message);
+            return;
+        }
+
+        throw new AssertionError('Expected render() to reject');
+    },
+
+    async function test_asyncValueError() {
+        const engine = new TemplateEngine({ async: true });
+
+        engine.compile('page.html', '{{ user.name }}');
+
+        try {
+            await engine.render('page.html', { user: Promise.reject(new Error('Not found')) });
+        } catch (error) {
+            assert(error instanceof LineSyntaxError);
+            assertEqual('Error resolving "user.name" in "page.html" on line 1', error.message);
+            assertEqual('Not found', error.cause.message);
+            return;
+        }
+
+        throw new AssertionError('Expected render() to reject');
+    },
+
+    function test_asyncLoaderRequiresAsyncRendering() {
+        const engine = new TemplateEngine({
+            loader: {
+                resolve() {
+                    return Promise.resolve('partial');
+                },
+            },
+        });
+
+        engine.compile('page.html', '{{> card.html }}');
+
+        try {
+            engine.render('page.html', {});
+        } catch (error) {
+            assertEqual(
+                'The partial "card.html" in "page.html" on line 1 is loaded asynchronously and requires async rendering',
+                error.message
+            );
+            return;
+        }
+
+        throw new AssertionError('Expected render() to throw');
+    },
+];
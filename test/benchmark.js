@@ -0,0 +1,101 @@
+import path from 'node:path';
+import process from 'node:process';
+import { performance } from 'node:perf_hooks';
+import { fileURLToPath } from 'node:url';
+import { TemplateEngine } from '../mod.js';
+import { readUtf8File } from './shared.js';
+import templateContext from './template-context.js';
+import * as customHelpers from './custom-helpers.js';
+
+
+// Compare the closure renderer from createRenderFunction() with the code generating
+// backend from compileRenderFunction(), rendering the test/templates fixtures.
+//
+// Usage: node test/benchmark.js [iterations]
+
+const TEST_DIR = fileURLToPath(new URL('./', import.meta.url));
+
+const PARTIALS = [
+    'html-header.html',
+    'site-header.html',
+    'site-footer.html',
+    'styles.css',
+    'script.js',
+    'book.html',
+];
+
+const TEMPLATES = [
+    'home.html',
+    'base.html',
+];
+
+async function main() {
+    const iterations = parseInt(process.argv[2], 10) || 2000;
+
+    const sources = {};
+    for (const name of PARTIALS) {
+        // eslint-disable-next-line no-await-in-loop
+        sources[name] = await readUtf8File(path.join(TEST_DIR, 'partials', name));
+    }
+    for (const name of TEMPLATES) {
+        // eslint-disable-next-line no-await-in-loop
+        sources[name] = await readUtf8File(path.join(TEST_DIR, 'templates', name));
+    }
+
+    const backends = {
+        closures: createEngine(sources, false),
+        codegen: createEngine(sources, true),
+    };
+
+    // Make sure both backends produce the same output before timing them.
+    if (renderPage(backends.closures) !== renderPage(backends.codegen)) {
+        throw new Error('The render backends produced different output');
+    }
+
+    for (const [ name, engine ] of Object.entries(backends)) {
+        // Warm up the JIT before measuring.
+        runIterations(engine, Math.ceil(iterations / 10));
+
+        const ms = runIterations(engine, iterations);
+
+        // eslint-disable-next-line no-console
+        console.log(`${ name.padEnd(10) } ${ iterations } renders in ${ ms.toFixed(1) }ms (${ Math.round(iterations / ms * 1000) } renders/sec)`);
+    }
+}
+
+function createEngine(sources, codegen) {
+    const engine = new TemplateEngine({ codegen });
+
+    for (const helperName of Object.keys(customHelpers)) {
+        engine.registerHelper(helperName, customHelpers[helperName]);
+    }
+    for (const name of PARTIALS) {
+        engine.registerPartial(name, sources[name]);
+    }
+    for (const name of TEMPLATES) {
+        engine.compile(name, sources[name]);
+    }
+
+    return engine;
+}
+
+function renderPage(engine) {
+    const body = engine.render('home.html', templateContext);
+    return engine.render('base.html', Object.assign({}, templateContext, { body }));
+}
+
+function runIterations(engine, iterations) {
+    const start = performance.now();
+
+    for (let i = 0; i < iterations; i += 1) {
+        renderPage(engine);
+    }
+
+    return performance.now() - start;
+}
+
+main().catch((error) => {
+    // eslint-disable-next-line no-console
+    console.error(error);
+    process.exit(1);
+});
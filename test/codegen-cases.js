@@ -0,0 +1,82 @@
+import { AssertionError, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+import MemoryLoader from '../lib/memory-loader.js';
+
+
+function createEngines(templates) {
+    return [ false, true ].map((codegen) => {
+        const engine = new TemplateEngine({ codegen, loader: new MemoryLoader(templates) });
+
+        engine.registerHelper('shout', (context, options, str) => `${ String(str).toUpperCase() }${ options.suffix || '' }`);
+        engine.registerHelper('fail', () => {
+            throw new Error('Helper failed');
+        });
+
+        return engine;
+    });
+}
+
+function renderBoth(templates, name, context) {
+    return createEngines(templates).map((engine) => engine.render(name, context));
+}
+
+
+export default [
+    function test_sameOutputAsClosureRenderer() {
+        const templates = {
+            'layout.html': '<title>{{#block "title"}}Default{{/block}}</title>\n<main>{{#block "content"}}{{/block}}</main>',
+            'card.html': '<div class="{{ variant }}">{{ title }}</div>',
+            'page.html': [
+                '{{#extends "layout.html"}}',
+                '{{#block "title"}}{{ title }}{{/block}}',
+                '{{#block "content"}}',
+                '<a href="{{ link }}" onclick="go(\'{{ title }}\')">{{{ html }}}</a>',
+                '{{#each items as |item index|}}{{ index }}:{{shout item.name suffix="!" }}{{> card.html item variant="wide" }}{{else}}empty{{/each}}',
+                '{{#if missing.deep.path }}yes{{else}}no {{ missing.deep.path }} {{ zero }} {{ nan }}{{/if}}',
+                '{{#ifEqual count 2 }}two{{/ifEqual}}',
+                '{{/block}}',
+                '{{/extends}}',
+            ].join('\n'),
+        };
+
+        const context = {
+            title: 'Books & "more"',
+            link: 'javascript:alert(1)',
+            html: '<b>bold</b>',
+            items: [{ name: 'dune', title: 'Dune' }, { name: 'emma', title: 'Emma' }],
+            zero: 0,
+            nan: NaN,
+            count: 2,
+        };
+
+        const [ expected, actual ] = renderBoth(templates, 'page.html', context);
+
+        assertEqual(expected, actual);
+    },
+
+    function test_sameHelperErrors() {
+        const templates = { 'page.html': 'Line 1\n{{fail title }}' };
+
+        const messages = createEngines(templates).map((engine) => {
+            try {
+                engine.render('page.html', { title: 'x' });
+            } catch (error) {
+                return `${ error.name }: ${ error.message } (${ error.cause.message })`;
+            }
+            throw new AssertionError('Expected render() to throw');
+        });
+
+        assertEqual('LineSyntaxError: Error in helper "fail" in "page.html" on line 2 (Helper failed)', messages[0]);
+        assertEqual(messages[0], messages[1]);
+    },
+
+    async function test_asyncFallsBackToClosureRenderer() {
+        const engine = new TemplateEngine({ codegen: true, async: true });
+
+        engine.compile('page.html', '{{#each items as |item|}}[{{ item }}]{{/each}}');
+
+        const html = await engine.render('page.html', { items: Promise.resolve([ 'a', Promise.resolve('b') ]) });
+
+        assertEqual('[a][b]\n', html);
+    },
+];
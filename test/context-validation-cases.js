@@ -0,0 +1,207 @@
+import { AssertionError, assert, assertEqual } from 'kixx-assert';
+import validateSchema from '../lib/validate-schema.js';
+import ContextValidationError from '../lib/context-validation-error.js';
+import LineSyntaxError from '../lib/line-syntax-error.js';
+import TemplateEngine from '../lib/template-engine.js';
+import MemoryLoader from '../lib/memory-loader.js';
+
+
+const POSTS_SCHEMA = {
+    type: 'object',
+    required: [ 'title', 'posts' ],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        posts: {
+            type: 'array',
+            items: { $ref: '#/$defs/post' },
+        },
+        labels: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+        },
+    },
+    $defs: {
+        post: {
+            type: 'object',
+            required: [ 'title' ],
+            additionalProperties: false,
+            properties: {
+                title: { type: 'string' },
+                status: { enum: [ 'draft', 'published' ] },
+                views: { type: 'integer', minimum: 0 },
+                author: { anyOf: [{ type: 'null' }, { type: 'object', required: [ 'name' ] }] },
+            },
+        },
+    },
+};
+
+// Describe each error as "path keyword" for easy comparison.
+function describeErrors(errors) {
+    return errors.map(({ path, keyword }) => `${ path } ${ keyword }`).join('\n');
+}
+
+function assertThrows(fn, check) {
+    try {
+        fn();
+    } catch (error) {
+        check(error);
+        return;
+    }
+    throw new AssertionError('Expected the function to throw');
+}
+
+
+export default [
+    function test_validateSchema() {
+        const errors = validateSchema(POSTS_SCHEMA, {
+            title: '',
+            posts: [
+                { title: 'One', status: 'published', views: 10, author: null },
+                { title: 2, status: 'archived', views: 1.5, author: {} },
+                { status: 'draft', slug: 'three' },
+            ],
+            labels: { 'sign-in': 'Sign in', count: 3 },
+        });
+
+        assertEqual([
+            'title minLength',
+            'posts[1].title type',
+            'posts[1].status enum',
+            'posts[1].views type',
+            'posts[1].author anyOf',
+            'posts[2].title required',
+            'posts[2].slug additionalProperties',
+            'labels.count type',
+        ].join('\n'), describeErrors(errors));
+
+        assertEqual('must be a string, but is an integer', errors[1].message);
+        assertEqual('must be one of "draft", "published"', errors[2].message);
+        assertEqual('must be an integer, but is a number', errors[3].message);
+
+        assertEqual('', describeErrors(validateSchema(POSTS_SCHEMA, { title: 'Home', posts: [] })));
+
+        // The root type is checked before its properties, and keys which are not identifiers are quoted.
+        assertEqual(' type', describeErrors(validateSchema(POSTS_SCHEMA, [])));
+        assertEqual(
+            'labels["sign-in"] type',
+            describeErrors(validateSchema(POSTS_SCHEMA, { title: 'Home', posts: [], labels: { 'sign-in': null } }))
+        );
+    },
+
+    function test_validateSchemaSkipsPromises() {
+        const schema = { type: 'object', properties: { user: { type: 'object', required: [ 'name' ] } } };
+
+        assertEqual('', describeErrors(validateSchema(schema, { user: Promise.resolve(null) })));
+    },
+
+    function test_engineHeaderSchema() {
+        const engine = new TemplateEngine();
+
+        engine.compile('page.html', [
+            '{{!-- @schema {',
+            '    "type": "object",',
+            '    "required": ["title", "posts"],',
+            '    "properties": { "posts": { "type": "array", "items": { "required": ["title"] } } }',
+            '} --}}',
+            '<h1>{{ title }}</h1>',
+        ].join('\n'));
+
+        assertEqual('\n<h1>Home</h1>\n', engine.render('page.html', { title: 'Home', posts: [] }));
+
+        assertThrows(() => engine.render('page.html', { posts: [{}, { title: 'Two' }, {}] }), (error) => {
+            assert(error instanceof ContextValidationError);
+            assertEqual('INVALID_CONTEXT', error.code);
+            assertEqual('page.html', error.filename);
+            assertEqual('title,posts[0].title,posts[2].title', error.errors.map(({ path }) => path).join(','));
+            assertEqual([
+                'The context for "page.html" does not match its schema:',
+                '    title is required',
+                '    posts[0].title is required',
+                '    posts[2].title is required',
+            ].join('\n'), error.message);
+        });
+
+        // A schema in the compile options replaces the declared schema.
+        engine.compile('page.html', '{{!-- @schema { "required": ["title"] } --}}{{ title }}', { schema: true });
+        assertEqual('\n', engine.render('page.html', {}));
+
+        const unchecked = new TemplateEngine({ validateContext: false });
+        unchecked.compile('page.html', '{{!-- @schema { "required": ["title"] } --}}{{ title }}');
+        assertEqual('\n', unchecked.render('page.html', {}));
+    },
+
+    function test_invalidHeaderSchema() {
+        const engine = new TemplateEngine();
+
+        assertThrows(() => engine.compile('page.html', '\n{{!-- @schema { "type": object } --}}'), (error) => {
+            assert(error instanceof LineSyntaxError);
+            assertEqual('INVALID_SCHEMA', error.code);
+            assertEqual(2, error.lineNumber);
+        });
+
+        // Comments which are not at the top of the template are not schema declarations.
+        engine.compile('other.html', '<p>{{!-- @schema not JSON --}}</p>');
+        assertEqual('<p></p>\n', engine.render('other.html', {}));
+    },
+
+    function test_partialHeaderSchema() {
+        const engine = new TemplateEngine();
+
+        engine.registerPartial('card.html', '{{!-- @schema { "required": ["name"] } --}}<b>{{ name }}</b>');
+        engine.compile('page.html', '{{#each users as |user|}}{{> card.html user }}{{/each}}');
+
+        assertEqual('<b>Ada</b>\n\n', engine.render('page.html', { users: [{ name: 'Ada' }] }));
+
+        // Partials validate the context they are given.
+        assertThrows(() => engine.render('page.html', { users: [{}] }), (error) => {
+            assertEqual('card.html', error.filename);
+            assertEqual('name', error.errors[0].path);
+        });
+    },
+
+    async function test_sidecarSchema() {
+        const templates = {
+            'pages/home.html': '<h1>{{ title }}</h1>',
+            'pages/home.schema.json': JSON.stringify({ type: 'object', properties: { title: { type: 'string' } } }),
+            'pages/broken.html': '{{ title }}',
+            'pages/broken.schema.json': '{ type: "object" }',
+        };
+
+        const engine = new TemplateEngine({ loader: new MemoryLoader(templates) });
+
+        assertEqual('<h1>Home</h1>\n', engine.render('pages/home.html', { title: 'Home' }));
+
+        engine.invalidate();
+
+        assertThrows(() => engine.render('pages/home.html', { title: 7 }), (error) => {
+            assertEqual('title', error.errors[0].path);
+            assertEqual('type', error.errors[0].keyword);
+        });
+
+        assertThrows(() => engine.render('pages/broken.html', {}), (error) => {
+            assert(error.message.startsWith('Invalid JSON in the context schema for "pages/broken.html"'));
+        });
+
+        // Async engines and loaders reject instead of throwing.
+        const asyncLoader = {
+            resolve(name) {
+                return Promise.resolve(templates[name] || null);
+            },
+            resolveSchema(name) {
+                return Promise.resolve(templates[name.replace('.html', '.schema.json')] || null);
+            },
+        };
+        const asyncEngine = new TemplateEngine({ async: true, loader: asyncLoader });
+
+        assertEqual('<h1>Home</h1>\n', await asyncEngine.render('pages/home.html', { title: 'Home' }));
+
+        try {
+            await asyncEngine.render('pages/home.html', { title: false });
+        } catch (error) {
+            assert(error instanceof ContextValidationError);
+            return;
+        }
+
+        throw new AssertionError('Expected render() to reject');
+    },
+];
@@ -0,0 +1,118 @@
+import { assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+
+
+const context = {
+    html: '<b class="x">Tom & Jerry</b>',
+    query: 'a b&c',
+    num: 3,
+    obj: { end: '</script>' },
+    attack: 'red;}</style>',
+    js: 'javascript:alert(1)',
+    vbs: ' VBScript:msgbox(1)',
+    url: 'https://example.com/a b?c=%20',
+    label: 'Ben\'s "Café" 50% off</style>',
+};
+
+function render(filename, source) {
+    const engine = new TemplateEngine({ contextualEscaping: true });
+    engine.compile(filename, source);
+    // Remove the trailing newline added by the tokenizer.
+    return engine.render(filename, context).slice(0, -1);
+}
+
+
+export default [
+    function test_textAndAttributes() {
+        assertEqual(
+            '<p title="&lt;b class&#x3D;&quot;x&quot;&gt;Tom &amp; Jerry&lt;/b&gt;">&lt;b class&#x3D;&quot;x&quot;&gt;Tom &amp; Jerry&lt;/b&gt;</p>',
+            render('a.html', '<p title="{{ html }}">{{ html }}</p>')
+        );
+
+        // Whitespace cannot break out of an unquoted attribute value.
+        assertEqual('<p class=a&#x20;b&amp;c>', render('b.html', '<p class={{ query }}>'));
+    },
+
+    function test_urlAttributes() {
+        assertEqual(
+            '<a href="about:invalid#unsafe-url"></a><img src="about:invalid#unsafe-url">',
+            render('a.html', '<a href="{{ js }}"></a><img src="{{ vbs }}">')
+        );
+        assertEqual(
+            '<a href="https://example.com/a%20b?c&#x3D;%20">',
+            render('b.html', '<a href="{{ url }}">')
+        );
+        assertEqual(
+            '<a href="/search?q=a%20b%26c">',
+            render('c.html', '<a href="/search?q={{ query }}">')
+        );
+        // A scheme is only checked at the start of the URL.
+        assertEqual(
+            '<a href="/files/javascript:alert(1)">',
+            render('d.html', '<a href="/files/{{ js }}">')
+        );
+    },
+
+    function test_scriptElements() {
+        assertEqual(
+            '<script>var s = "\\u003Cb class\\u003D\\u0022x\\u0022\\u003ETom \\u0026 Jerry\\u003C/b\\u003E"; var n = 3; var o = {"end":"\\u003C/script\\u003E"};</script>',
+            render('a.html', '<script>var s = "{{ html }}"; var n = {{ num }}; var o = {{ obj }};</script>')
+        );
+        // The script context ends with the closing tag.
+        assertEqual(
+            '<script>var n = 3;</script><p>a b&amp;c</p>',
+            render('b.html', '<script>var n = {{ num }};</script><p>{{ query }}</p>')
+        );
+        // The initial context for a .js template is JavaScript.
+        assertEqual('var s = \'a b\\u0026c\';', render('c.js', 'var s = \'{{ query }}\';'));
+    },
+
+    function test_styles() {
+        assertEqual(
+            '<style>p { color: red\\3B \\7D \\3C \\2F style\\3E ; }</style>',
+            render('a.html', '<style>p { color: {{ attack }}; }</style>')
+        );
+        assertEqual(
+            '<div style="color: red\\3B \\7D \\3C \\2F style\\3E "></div>',
+            render('b.html', '<div style="color: {{ attack }}"></div>')
+        );
+        assertEqual('html { --width: a b\\26 c; }', render('c.css', 'html { --width: {{ query }}; }'));
+    },
+
+    function test_quotedStyleStrings() {
+        // Values in CSS strings keep their text, and only the quotes and the closing tag are escaped.
+        assertEqual(
+            '<style>p::before { content: "Ben\\27 s \\22 Café\\22  50% off\\3C /style\\3E "; }</style>',
+            render('a.html', '<style>p::before { content: "{{ label }}"; }</style>')
+        );
+        assertEqual(
+            '<div style="background: url(\'https://example.com/a b?c&#x3D;%20\')"></div>',
+            render('b.html', '<div style="background: url(\'{{ url }}\')"></div>')
+        );
+        // Escaped quotes do not end the string, and values after the string are escaped as CSS again.
+        assertEqual(
+            'p { content: "\\"a b&c"; width: a b\\26 c; }',
+            render('c.css', 'p { content: "\\"{{ query }}"; width: {{ query }}; }')
+        );
+    },
+
+    function test_eventHandlerAttributes() {
+        assertEqual(
+            '<button onclick="go(3, \'red;}\\u003C/style\\u003E\')">',
+            render('a.html', '<button onclick="go({{ num }}, \'{{ attack }}\')">')
+        );
+    },
+
+    function test_contextualEscapingIsOptIn() {
+        const expected = '<script>var n = "&lt;b class&#x3D;&quot;x&quot;&gt;Tom &amp; Jerry&lt;/b&gt;";</script>\n';
+
+        // Without the option every expression is HTML entity escaped, as it was before contextual escaping.
+        const engine = new TemplateEngine();
+        engine.compile('a.html', '<script>var n = "{{ html }}";</script>');
+        assertEqual(expected, engine.render('a.html', context));
+
+        const disabledEngine = new TemplateEngine({ contextualEscaping: false });
+        disabledEngine.compile('a.html', '<script>var n = "{{ html }}";</script>');
+        assertEqual(expected, disabledEngine.render('a.html', context));
+    },
+];
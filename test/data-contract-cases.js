@@ -0,0 +1,170 @@
+import { assertEqual } from 'kixx-assert';
+import tokenize from '../lib/tokenize.js';
+import buildSyntaxTree from '../lib/build-syntax-tree.js';
+import extractDataContract from '../lib/extract-data-contract.js';
+import createJSONSchema from '../lib/create-json-schema.js';
+import validateSchema from '../lib/validate-schema.js';
+
+
+function parse(filename, source) {
+    return buildSyntaxTree(null, tokenize(null, filename, source));
+}
+
+// Describe each path as "path flags" for easy comparison.
+function describePaths({ paths }) {
+    return paths.map(({ path, optional, iterated, blockParams, helpers }) => {
+        const flags = [];
+        if (optional) {
+            flags.push('optional');
+        }
+        if (iterated) {
+            flags.push('iterated');
+        }
+        blockParams.forEach((name) => flags.push(`|${ name }|`));
+        helpers.forEach((name) => flags.push(`${ name }()`));
+        return `${ path } ${ flags.join(' ') }`.trim();
+    }).join('\n');
+}
+
+
+export default [
+    function test_contractPaths() {
+        const source = [
+            '<h1>{{ page.title }}</h1>',
+            '{{#if user}}<p>{{ user.name }}</p>{{else}}<a href="{{ loginUrl }}">Log in</a>{{/if}}',
+            '{{#each posts as |post index|}}',
+            '    <h2>{{ post.title }}</h2>',
+            '    <p>{{ this.author.name }} #{{ index }} of {{ @length }}</p>',
+            '    {{#each post.tags as |tag|}}{{ upper tag.label }}{{/each}}',
+            '{{/each}}',
+            '{{ noop }} {{ footer? }}',
+        ].join('\n');
+
+        const contract = extractDataContract(parse('page.html', source));
+
+        assertEqual([
+            'footer optional',
+            'loginUrl optional',
+            'page.title',
+            'posts iterated',
+            'posts[].author.name',
+            'posts[].tags iterated |post|',
+            'posts[].tags[].label |tag| upper()',
+            'posts[].title |post|',
+            'user optional',
+            'user.name optional',
+        ].join('\n'), describePaths(contract));
+
+        const [ footer ] = contract.paths;
+        assertEqual('footer', footer.segments.join(','));
+        assertEqual('page.html', footer.references[0].filename);
+        assertEqual(8, footer.references[0].lineNumber);
+    },
+
+    function test_partialsAndLayouts() {
+        const partials = new Map([
+            [ 'layout.html', parse('layout.html', '<title>{{ site.name }}</title>{{#block "body"}}{{ unused }}{{/block}}') ],
+            [ 'card.html', parse('card.html', '<h2>{{ title }}</h2>{{ format_date published }} {{ ../heading }} {{ label }}') ],
+            [ 'row.html', parse('row.html', '<td>{{ item.id }}</td>{{> row.html }}') ],
+        ]);
+
+        const source = [
+            '{{#extends "layout.html"}}',
+            '{{#block "body"}}',
+            '{{#each articles as |article|}}{{> card.html article label=@root.labels.card }}{{/each}}',
+            '{{#each rows as |item|}}{{> row.html }}{{/each}}',
+            '{{/block}}',
+            '{{/extends}}',
+        ].join('\n');
+
+        const contract = extractDataContract(parse('page.html', source), { partials });
+
+        // The default content of an overridden block is left out, and partials
+        // which include themselves are only followed once.
+        assertEqual([
+            'articles iterated',
+            'articles[] |article|',
+            'articles[].published format_date()',
+            'articles[].title',
+            'heading',
+            'labels.card',
+            'rows iterated',
+            'rows[].id |item|',
+            'site.name',
+        ].join('\n'), describePaths(contract));
+    },
+
+    function test_jsonSchema() {
+        const source = [
+            '{{#if user}}{{ user.name }}{{/if}}',
+            '{{#each posts as |post|}}{{ post.title }} {{ format_date post.date }}{{/each}}',
+            '{{#each tags as |tag|}}{{/each}}',
+        ].join('\n');
+
+        const schema = createJSONSchema(extractDataContract(parse('page.html', source)));
+
+        const postSchema = {
+            type: 'object',
+            properties: {
+                date: { description: 'Passed to the "format_date" helper' },
+                title: {},
+            },
+            required: [ 'date', 'title' ],
+        };
+
+        assertEqual(JSON.stringify({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            properties: {
+                posts: {
+                    type: [ 'array', 'object' ],
+                    items: postSchema,
+                    additionalProperties: postSchema,
+                },
+                tags: { type: [ 'array', 'object' ] },
+                user: {
+                    type: 'object',
+                    properties: {
+                        name: {},
+                    },
+                },
+            },
+            required: [ 'posts', 'tags' ],
+        }), JSON.stringify(schema));
+
+        // The #each helper loops over the values of an object as well as the items of an array.
+        const post = { title: 'Hello', date: '2024-01-01' };
+
+        assertEqual(0, validateSchema(schema, { posts: [ post ], tags: [] }).length);
+        assertEqual(0, validateSchema(schema, { posts: { hello: post }, tags: new Map() }).length);
+        assertEqual('posts.hello.title', validateSchema(schema, { posts: { hello: { date: '2024-01-01' } }, tags: {} })[0].path);
+        assertEqual('tags', validateSchema(schema, { posts: [], tags: 'a,b' })[0].path);
+    },
+
+    function test_jsonSchemaIteratedProperties() {
+        const source = '{{ items.length }} items: {{#each items as |item|}}{{ item.name }}{{/each}}';
+        const schema = createJSONSchema(extractDataContract(parse('page.html', source)));
+
+        const itemSchema = {
+            type: 'object',
+            properties: {
+                name: {},
+            },
+            required: [ 'name' ],
+        };
+
+        // Properties read on an iterated value are kept along with its items.
+        assertEqual(JSON.stringify({
+            type: [ 'array', 'object' ],
+            items: itemSchema,
+            additionalProperties: itemSchema,
+            properties: {
+                length: {},
+            },
+            required: [ 'length' ],
+        }), JSON.stringify(schema.properties.items));
+
+        assertEqual(0, validateSchema(schema, { items: [{ name: 'a' }] }).length);
+        assertEqual('items.length', validateSchema(schema, { items: { a: { name: 'a' } } })[0].path);
+    },
+];
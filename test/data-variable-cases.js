@@ -0,0 +1,102 @@
+import { AssertionError, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+
+
+// Run each case with both render backends.
+function createEngines(options) {
+    return [ false, true ].map((codegen) => {
+        return new TemplateEngine(Object.assign({ codegen }, options));
+    });
+}
+
+
+export default [
+    function test_eachDataVariables() {
+        const source = [
+            '{{#each items as |item|}}',
+            '{{ @index }}:{{ @key }}:{{ item }}/{{ @length }}',
+            '{{#if @first}}[first]{{/if}}{{#if @last}}[last]{{else}},{{/if}}',
+            '{{/each}}',
+        ].join('');
+
+        const cases = [
+            [ [ 'a', 'b', 'c' ], '0:0:a/3[first],1:1:b/3,2:2:c/3[last]\n' ],
+            [ new Map([ [ 'x', 'a' ], [ 'y', 'b' ] ]), '0:x:a/2[first],1:y:b/2[last]\n' ],
+            [ new Set([ 'a', 'b' ]), '0:0:a/2[first],1:1:b/2[last]\n' ],
+            [{ x: 'a', y: 'b' }, '0:x:a/2[first],1:y:b/2[last]\n' ],
+            [ [ 'a' ], '0:0:a/1[first][last]\n' ],
+        ];
+
+        for (const engine of createEngines({ strict: true })) {
+            engine.compile('page.html', source);
+
+            for (const [ items, expected ] of cases) {
+                assertEqual(expected, engine.render('page.html', { items }));
+            }
+        }
+    },
+
+    function test_nestedDataVariables() {
+        const source = [
+            '{{#each rows as |row|}}',
+            '{{#each row as |cell|}}{{ @index }}{{ cell }} {{/each}}',
+            '@{{ @index }}|',
+            '{{/each}}',
+        ].join('');
+
+        const partialSource = '{{ @index }}={{ name }};';
+
+        for (const engine of createEngines()) {
+            engine.registerPartial('item.html', partialSource);
+            engine.compile('page.html', source);
+            engine.compile('list.html', '{{#each items as |item|}}{{> item.html item }}{{/each}}');
+
+            assertEqual('0a 1b @0|0c @1|\n', engine.render('page.html', { rows: [ [ 'a', 'b' ], [ 'c' ] ] }));
+
+            assertEqual(
+                '0=x;\n1=y;\n\n',
+                engine.render('list.html', { items: [{ name: 'x' }, { name: 'y' }] })
+            );
+        }
+    },
+
+    function test_customHelperData() {
+        function repeat_helper(context, options, times) {
+            let str = '';
+            for (let i = 0; i < times; i += 1) {
+                // eslint-disable-next-line no-invalid-this
+                str += this.renderPrimary(context, { data: { iteration: i, remaining: times - i - 1 } });
+            }
+            return str;
+        }
+
+        const source = '{{#repeat 3}}{{ @iteration }}{{#if @remaining}}-{{/if}}{{/repeat}}';
+
+        for (const engine of createEngines()) {
+            engine.registerHelper('repeat', repeat_helper);
+            engine.compile('page.html', source);
+
+            assertEqual('0-1-2\n', engine.render('page.html', {}));
+        }
+    },
+
+    function test_missingDataVariables() {
+        for (const engine of createEngines()) {
+            engine.compile('page.html', '[{{ @index }}]');
+            assertEqual('[]\n', engine.render('page.html', {}));
+        }
+
+        for (const engine of createEngines({ strict: true })) {
+            engine.compile('page.html', '{{#each items as |item|}}{{ @missing }}{{/each}}');
+
+            try {
+                engine.render('page.html', { items: [ 1 ] });
+            } catch (error) {
+                assertEqual('Missing "@missing" in "page.html" on line 1; `@missing` does not exist', error.message);
+                continue;
+            }
+
+            throw new AssertionError('Expected render() to throw');
+        }
+    },
+];
@@ -0,0 +1,172 @@
+import { AssertionError, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+import tokenize from '../lib/tokenize.js';
+import buildSyntaxTree from '../lib/build-syntax-tree.js';
+
+
+function failNow() {
+    throw new Error('Failed');
+}
+
+// Run each case with both render backends.
+function createEngines(options, fail = failNow) {
+    return [ false, true ].map((codegen) => {
+        const engine = new TemplateEngine(Object.assign({ codegen }, options));
+
+        engine.registerHelper('fail', fail);
+
+        engine.registerPartial('inner.html', '<p>\n{{ fail 1 }}\n</p>');
+        engine.registerPartial('outer.html', '<div>\n  {{> inner.html }}\n</div>');
+
+        return engine;
+    });
+}
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+
+    throw new AssertionError('Expected function to throw');
+}
+
+
+export default [
+    function test_codeFrame() {
+        const source = [
+            '<main>',
+            '<ul>',
+            '    {{#each items as |item|}}',
+            '    <li>{{ item }}</li>',
+            '</ul>',
+            '</main>',
+        ].join('\n');
+
+        const engine = new TemplateEngine();
+        const error = catchError(() => engine.compile('page.html', source));
+
+        assertEqual('UNCLOSED_BLOCK', error.code);
+
+        assertEqual([
+            '  1 | <main>',
+            '  2 | <ul>',
+            '> 3 |     {{#each items as |item|}}',
+            '    |       ^^^^^^^^^^^^^^^^^^^^^',
+            '  4 |     <li>{{ item }}</li>',
+            '  5 | </ul>',
+        ].join('\n'), error.codeFrame());
+
+        assertEqual([
+            '> 3 |     {{#each items as |item|}}',
+            '    |       ^^^^^^^^^^^^^^^^^^^^^',
+        ].join('\n'), error.codeFrame({ contextLines: 0 }));
+    },
+
+    function test_codeFrameWithoutSource() {
+        const error = catchError(() => buildSyntaxTree(null, tokenize(null, 'page.html', '\t<p>{{ title </p>')));
+
+        // Without the source lines the frame only shows the error line.
+        error.sourceLines = null;
+
+        assertEqual('UNCLOSED_MUSTACHE', error.code);
+        assertEqual('> 1 | \t<p>{{ title </p>\n    | \t   ^^', error.codeFrame());
+    },
+
+    function test_includeStack() {
+        for (const engine of createEngines()) {
+            engine.compile('page.html', '<body>\n{{> outer.html }}\n</body>');
+
+            const error = catchError(() => engine.render('page.html', {}));
+
+            assertEqual('HELPER_ERROR', error.code);
+            assertEqual('inner.html', error.filename);
+            assertEqual(2, error.lineNumber);
+            assertEqual(2, error.includeStack.length);
+            assertEqual('inner.html', error.includeStack[0].partialName);
+            assertEqual('outer.html', error.includeStack[0].filename);
+            assertEqual(2, error.includeStack[0].lineNumber);
+            assertEqual('outer.html', error.includeStack[1].partialName);
+            assertEqual('page.html', error.includeStack[1].filename);
+
+            assertEqual([
+                'LineSyntaxError [HELPER_ERROR]: Error in helper "fail" in "inner.html" on line 2',
+                '  1 | <p>',
+                '> 2 | {{ fail 1 }}',
+                '    |   ^^^^^^^^',
+                '  3 | </p>',
+                '    in partial "inner.html" included in outer.html on line 2',
+                '    in partial "outer.html" included in page.html on line 2',
+            ].join('\n'), error.format({ contextLines: 1 }));
+        }
+    },
+
+    function test_toJSON() {
+        const [ engine ] = createEngines();
+
+        engine.compile('page.html', '{{> inner.html }}');
+
+        const error = catchError(() => engine.render('page.html', {}));
+        const json = JSON.parse(JSON.stringify(error));
+
+        assertEqual('LineSyntaxError', json.name);
+        assertEqual('HELPER_ERROR', json.code);
+        assertEqual('inner.html', json.filename);
+        assertEqual(2, json.lineNumber);
+        assertEqual(2, json.startPosition);
+        assertEqual(9, json.endPosition);
+        assertEqual('page.html', json.includeStack[0].filename);
+        assertEqual('Error', json.cause.name);
+        assertEqual('Failed', json.cause.message);
+        assertEqual(undefined, json.sourceLines);
+    },
+
+    function test_diagnosticCodes() {
+        const tokens = tokenize(null, 'page.html', '{{#if a}}\n{{/each}}\n{{else}}');
+        const { diagnostics } = buildSyntaxTree({ recover: true }, tokens);
+
+        assertEqual('MISMATCHED_BLOCK_CLOSE,UNEXPECTED_ELSE', diagnostics.map(({ code }) => code).join(','));
+        // Each error points at the tag content, not the braces before it.
+        assertEqual('2:2-6,3:2-5', diagnostics.map(({ lineNumber, startPosition, endPosition }) => {
+            return `${ lineNumber }:${ startPosition }-${ endPosition }`;
+        }).join(','));
+    },
+
+    async function test_asyncIncludeStack() {
+        const engines = createEngines({ async: true }, () => Promise.reject(new Error('Failed')));
+
+        function assertIncludeStack(error) {
+            assertEqual('HELPER_ERROR', error.code);
+            assertEqual('inner.html', error.filename);
+            assertEqual('inner.html,outer.html', error.includeStack.map(({ partialName }) => partialName).join(','));
+            assertEqual('outer.html', error.includeStack[0].filename);
+            assertEqual(2, error.includeStack[0].lineNumber);
+            assertEqual('page.html', error.includeStack[1].filename);
+        }
+
+        for (const engine of engines) {
+            engine.compile('page.html', '{{ title }}\n{{> outer.html }}');
+
+            let renderError = null;
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                await engine.render('page.html', { title: Promise.resolve('Title') });
+            } catch (error) {
+                renderError = error;
+            }
+            assertIncludeStack(renderError);
+
+            let streamError = null;
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                for await (const chunk of engine.stream('page.html', { title: 'Title' })) {
+                    assertEqual('string', typeof chunk);
+                }
+            } catch (error) {
+                streamError = error;
+            }
+            assertIncludeStack(streamError);
+        }
+    },
+];
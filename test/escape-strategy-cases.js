@@ -0,0 +1,70 @@
+import { AssertionError, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+import escapers from '../lib/escapers.js';
+
+
+const context = {
+    name: 'Tom & "Jerry" <\'cat\'>',
+    price: '$5_{off} 50% #1',
+    markup: '*bold* [link](x)',
+};
+
+
+export default [
+    function test_escapeByFilenameExtension() {
+        const engine = new TemplateEngine();
+
+        engine.compile('email.txt', 'Hello {{ name }}');
+        engine.compile('config.json', '{ "name": "{{ name }}" }');
+        engine.compile('feed.xml', '<title>{{ name }}</title>');
+        engine.compile('readme.md', '# {{ markup }}');
+        engine.compile('page.html', '<p>{{ name }}</p>');
+
+        assertEqual('Hello Tom & "Jerry" <\'cat\'>\n', engine.render('email.txt', context));
+        assertEqual('{ "name": "Tom & \\"Jerry\\" <\'cat\'>" }\n', engine.render('config.json', context));
+        assertEqual('<title>Tom &amp; &quot;Jerry&quot; &lt;&apos;cat&apos;&gt;</title>\n', engine.render('feed.xml', context));
+        assertEqual('# \\*bold\\* \\[link\\]\\(x\\)\n', engine.render('readme.md', context));
+        assertEqual('<p>Tom &amp; &quot;Jerry&quot; &lt;&#x27;cat&#x27;&gt;</p>\n', engine.render('page.html', context));
+    },
+
+    function test_namedEscapeStrategy() {
+        const engine = new TemplateEngine({ escape: 'latex' });
+
+        engine.compile('page.html', '{{ price }}');
+        engine.compile('run.txt', 'echo {{ name }}', { escape: 'shell' });
+
+        assertEqual('\\$5\\_\\{off\\} 50\\% \\#1\n', engine.render('page.html', context));
+        assertEqual('echo \'Tom & "Jerry" <\'\\\'\'cat\'\\\'\'>\'\n', engine.render('run.txt', context));
+    },
+
+    function test_customEscapeFunctionAndExtensions() {
+        const engine = new TemplateEngine({
+            escapeExtensions: { '.eml': 'none' },
+        });
+
+        engine.compile('message.eml', '{{ name }}');
+        engine.compile('shout.html', '{{ name }}', { escape: (val) => String(val).toUpperCase() });
+
+        assertEqual('Tom & "Jerry" <\'cat\'>\n', engine.render('message.eml', context));
+        assertEqual('TOM & "JERRY" <\'CAT\'>\n', engine.render('shout.html', context));
+    },
+
+    function test_builtInEscapers() {
+        assertEqual(true, escapers.has('html'));
+        assertEqual('', escapers.get('none')(null));
+        assertEqual('a\\nb', escapers.get('json-string')('a\nb'));
+    },
+
+    function test_unknownEscapeStrategy() {
+        const engine = new TemplateEngine({ escape: 'yaml' });
+
+        try {
+            engine.compile('page.yml', '{{ name }}');
+        } catch (error) {
+            assertEqual('Unknown escape strategy "yaml"', error.message);
+            return;
+        }
+
+        throw new AssertionError('Expected compile() to throw');
+    },
+];
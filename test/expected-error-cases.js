@@ -290,6 +290,162 @@ export default [
             assertEqual(6, error.startPosition);
         });
     },
+
+    function test13() {
+        const source = [
+            '<html>',
+            '<head></head>',
+            '  <body>',
+            // Partials only accept a single context argument.
+            '    {{> article.html article site }}',
+            '  </body>',
+            '</html>',
+        ].join('\n');
+
+        assertThrows(() => {
+            createAndRenderTemplate('test-13', source, {});
+        }, (error) => {
+            assertEqual('A partial accepts only one context argument in expression in test-13 starting on line 4', error.message);
+            assertEqual('test-13', error.filename);
+            assertEqual(4, error.lineNumber);
+            assertEqual(4, error.startPosition);
+        });
+    },
+
+    function test14() {
+        const source = [
+            '{{#extends "layout.html"}}',
+            // We forgot to quote the block name.
+            '  {{#block content }}',
+            '    <p>{{ article.body }}</p>',
+            '  {{/block}}',
+            '{{/extends}}',
+        ].join('\n');
+
+        assertThrows(() => {
+            createAndRenderTemplate('test-14', source, {});
+        }, (error) => {
+            assertEqual('The "block" tag requires a single quoted name in expression in test-14 starting on line 2', error.message);
+            assertEqual('test-14', error.filename);
+            assertEqual(2, error.lineNumber);
+            assertEqual(2, error.startPosition);
+        });
+    },
+
+    function test15() {
+        const source = [
+            '<html>',
+            '<head></head>',
+            '  <body>',
+            // We forgot the third closing brace.
+            '    <article>{{{ article.body }}</article>',
+            '  </body>',
+            '</html>',
+        ].join('\n');
+
+        assertThrows(() => {
+            createAndRenderTemplate('test-15', source, {});
+        }, (error) => {
+            assertEqual('Mismatched braces; "{{{" opened in test-15 on line 4 was closed with "}}"', error.message);
+            assertEqual('test-15', error.filename);
+            assertEqual(4, error.lineNumber);
+            assertEqual(30, error.startPosition);
+        });
+    },
+
+    function test16() {
+        const source = [
+            '<ul>',
+            '    {{#if items}}',
+            '    <li>{{ items.length }}</li>',
+            // We closed the block with the wrong helper name.
+            '    {{/each}}',
+            '</ul>',
+        ].join('\n');
+
+        assertThrows(() => {
+            createAndRenderTemplate('test-16', source, {});
+        }, (error) => {
+            assertEqual('The "{{#if}}" block opened in test-16 on line 2 was closed with "{{/each}}" in test-16 on line 4', error.message);
+            assertEqual('test-16', error.filename);
+            assertEqual(4, error.lineNumber);
+            // The error points at the wrong name in the close tag.
+            assertEqual(6, error.startPosition);
+            assertEqual('test-16', error.related.filename);
+            assertEqual(2, error.related.lineNumber);
+            assertEqual(6, error.related.startPosition);
+            assertEqual('MISMATCHED_BLOCK_CLOSE', error.code);
+            assertEqual([
+                'LineSyntaxError [MISMATCHED_BLOCK_CLOSE]: The "{{#if}}" block opened in test-16 on line 2 was closed with "{{/each}}" in test-16 on line 4',
+                '  2 |     {{#if items}}',
+                '  3 |     <li>{{ items.length }}</li>',
+                '> 4 |     {{/each}}',
+                '    |       ^^^^^',
+                '  5 | </ul>',
+                'Related location in test-16 on line 2:',
+                '  1 | <ul>',
+                '> 2 |     {{#if items}}',
+                '    |       ^^^^^^^^^',
+                '  3 |     <li>{{ items.length }}</li>',
+                '  4 |     {{/each}}',
+            ].join('\n'), error.toString());
+        });
+    },
+
+    function test17() {
+        const source = [
+            '<p>{{ title }}</p>',
+            // A close tag without an open block.
+            '{{/if}}',
+        ].join('\n');
+
+        assertThrows(() => {
+            createAndRenderTemplate('test-17', source, {});
+        }, (error) => {
+            assertEqual('Unexpected "{{/if}}" without an open block in test-17 on line 2', error.message);
+            assertEqual('test-17', error.filename);
+            assertEqual(2, error.lineNumber);
+            assertEqual(2, error.startPosition);
+            assertEqual(null, error.related);
+        });
+    },
+
+    function test18() {
+        const source = [
+            '{{#block "content"}}',
+            '    <p>{{ title }}</p>',
+            // An else tag can only be used in a helper block.
+            '    {{else}}',
+            '{{/block}}',
+        ].join('\n');
+
+        assertThrows(() => {
+            createAndRenderTemplate('test-18', source, {});
+        }, (error) => {
+            assertEqual('Unexpected "{{else}}" outside of a helper block in test-18 on line 3', error.message);
+            assertEqual('test-18', error.filename);
+            assertEqual(3, error.lineNumber);
+            assertEqual(6, error.startPosition);
+        });
+
+        assertThrows(() => {
+            createAndRenderTemplate('test-18', '<p>{{ title }}</p>{{else}}', {});
+        }, (error) => {
+            assertEqual('Unexpected "{{else}}" outside of a helper block in test-18 on line 1', error.message);
+        });
+    },
+
+    function test19() {
+        // A helper expression which starts with a literal rather than a helper name.
+        const source = '<p>{{ ", " first last }}</p>';
+
+        assertThrows(() => {
+            createAndRenderTemplate('test-19', source, {});
+        }, (error) => {
+            assertEqual('A helper expression must start with a helper name in expression in test-19 starting on line 1', error.message);
+            assertEqual('INVALID_HELPER_NAME', error.code);
+        });
+    },
 ];
 
 
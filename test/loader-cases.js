@@ -0,0 +1,88 @@
+import { fileURLToPath } from 'node:url';
+import { AssertionError, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+import FileSystemLoader from '../lib/file-system-loader.js';
+import MemoryLoader from '../lib/memory-loader.js';
+import { resolveTemplateName } from '../lib/utils.js';
+
+
+const PARTIALS_DIRECTORY = fileURLToPath(new URL('./partials/', import.meta.url));
+
+
+export default [
+    function test_resolveTemplateName() {
+        assertEqual('card.html', resolveTemplateName('card.html', 'pages/home.html'));
+        assertEqual('pages/card.html', resolveTemplateName('./card.html', 'pages/home.html'));
+        assertEqual('shared/card.html', resolveTemplateName('../shared/card.html', 'pages/home.html'));
+        assertEqual('../card.html', resolveTemplateName('../card.html', 'home.html'));
+        assertEqual('pages/card.html', resolveTemplateName('/pages//card.html', null));
+    },
+
+    function test_memoryLoaderRelativePartials() {
+        const loader = new MemoryLoader({
+            'pages/home.html': '<main>{{> ./parts/card.html }}</main>',
+            'pages/parts/card.html': '<div>{{> ../../shared/title.html }}</div>',
+            'shared/title.html': '<h1>{{ title }}</h1>',
+        });
+
+        const engine = new TemplateEngine({ loader });
+
+        const html = engine.render('pages/home.html', { title: 'Hi' });
+
+        assertEqual('<main><div><h1>Hi</h1>\n</div>\n</main>\n', html);
+    },
+
+    function test_registeredPartialsTakePrecedence() {
+        const loader = new MemoryLoader({ 'title.html': 'loaded' });
+        const engine = new TemplateEngine({ loader });
+
+        engine.registerPartial('title.html', 'registered');
+        engine.compile('page.html', '{{> title.html }}');
+
+        assertEqual('registered\n\n', engine.render('page.html', {}));
+    },
+
+    function test_loadedPartialsAreCached() {
+        const loader = new MemoryLoader({ 'title.html': 'first' });
+        const engine = new TemplateEngine({ loader });
+
+        engine.compile('page.html', '{{> title.html }}');
+        assertEqual('first\n\n', engine.render('page.html', {}));
+
+        loader.set('title.html', 'second');
+        assertEqual('first\n\n', engine.render('page.html', {}));
+
+        engine.invalidate('title.html');
+        assertEqual('second\n\n', engine.render('page.html', {}));
+    },
+
+    function test_missingLoadedPartial() {
+        const engine = new TemplateEngine({ loader: new MemoryLoader() });
+
+        engine.compile('page.html', '<p>\n{{> missing.html }}</p>');
+
+        try {
+            engine.render('page.html', {});
+        } catch (error) {
+            assertEqual('No partial named "missing.html" in "page.html" on line 2', error.message);
+            return;
+        }
+
+        throw new AssertionError('Expected render() to throw');
+    },
+
+    function test_fileSystemLoader() {
+        const loader = new FileSystemLoader(PARTIALS_DIRECTORY);
+
+        assertEqual(null, loader.resolve('does-not-exist.html', null));
+        assertEqual(null, loader.resolve('../templates/base.html', 'book.html'));
+
+        const engine = new TemplateEngine({ loader });
+
+        const html = engine.render('book.html', {
+            book: { title: 'Dune', author: 'Frank Herbert' },
+        });
+
+        assertEqual('<span class="book__title">Dune</span>', html.split('\n')[0]);
+    },
+];
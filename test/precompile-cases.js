@@ -0,0 +1,117 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { AssertionError, assert, assertEqual } from 'kixx-assert';
+import { tokenize, buildSyntaxTree, precompile, TemplateEngine } from '../mod.js';
+import { readUtf8File } from './shared.js';
+import templateContext from './template-context.js';
+import * as customHelpers from './custom-helpers.js';
+
+
+const TEST_DIR = fileURLToPath(new URL('./', import.meta.url));
+const RUNTIME_URL = new URL('../mod.js', import.meta.url).href;
+
+const PARTIALS = [
+    'html-header.html',
+    'site-header.html',
+    'site-footer.html',
+    'styles.css',
+    'script.js',
+    'book.html',
+];
+
+function assertThrows(fn, check) {
+    try {
+        fn();
+    } catch (error) {
+        check(error);
+        return;
+    }
+    throw new AssertionError('Expected the function to throw');
+}
+
+async function precompileFile(dirname, filename) {
+    const source = await readUtf8File(path.join(TEST_DIR, dirname, filename));
+    const tree = buildSyntaxTree(null, tokenize(null, filename, source));
+    const moduleSource = precompile(tree, { runtime: RUNTIME_URL });
+
+    return import(`data:text/javascript,${ encodeURIComponent(moduleSource) }`);
+}
+
+
+export default [
+    async function test_precompileFixtures() {
+        const engine = new TemplateEngine();
+
+        for (const helperName of Object.keys(customHelpers)) {
+            engine.registerHelper(helperName, customHelpers[helperName]);
+        }
+
+        for (const partialName of PARTIALS) {
+            // eslint-disable-next-line no-await-in-loop
+            const mod = await precompileFile('partials', partialName);
+            assertEqual(partialName, mod.filename);
+            engine.registerPrecompiledPartial(partialName, mod.default);
+        }
+
+        const home = await precompileFile('templates', 'home.html');
+        const base = await precompileFile('templates', 'base.html');
+
+        engine.registerPrecompiled('home.html', home.default);
+        engine.registerPrecompiled('base.html', base.default);
+
+        const body = engine.render('home.html', templateContext);
+        const html = engine.render('base.html', Object.assign({}, templateContext, { body }));
+        const expectedHtml = await readUtf8File(path.join(TEST_DIR, 'output-snapshot.html'));
+
+        assertEqual(expectedHtml, html);
+    },
+
+    async function test_precompiledModuleCanBeBoundTwice() {
+        const tree = buildSyntaxTree(null, tokenize(null, 'page.html', 'Hello\n{{ name }}\nGoodbye'));
+        const moduleSource = precompile(tree, { runtime: RUNTIME_URL });
+
+        assert(!moduleSource.includes('tokenize'), 'the module does not use the tokenizer');
+        assert(!moduleSource.includes('createRenderFunction'), 'the module does not compile the tree when it loads');
+        assert(moduleSource.includes('function s0(ctx, state)'), 'the module contains the generated render code');
+        // Tokens only keep their location, without the text of the line.
+        assert(!moduleSource.includes('"line"'), 'the module does not include the source lines');
+        assert(!moduleSource.includes('tokenString'), 'the module does not include the token text');
+
+        const mod = await import(`data:text/javascript,${ encodeURIComponent(moduleSource) }`);
+
+        const render1 = mod.default(new Map(), new Map());
+        const render2 = mod.default(new Map(), new Map());
+
+        assertEqual('Hello\nWorld\nGoodbye\n', render1({ name: 'World' }));
+        assertEqual('Hello\nWorld\nGoodbye\n', render2({ name: 'World' }));
+
+        // Async rendering uses the syntax tree in the module.
+        const renderAsync = mod.default(new Map(), new Map(), { async: true });
+        assertEqual('Hello\nWorld\nGoodbye\n', await renderAsync({ name: Promise.resolve('World') }));
+    },
+
+    async function test_precompileOptions() {
+        const tree = buildSyntaxTree(null, tokenize(null, 'page.html', '<p>{{ user.name }}</p>\n<p>{{ noop }}</p>'));
+        const moduleSource = precompile(tree, { runtime: RUNTIME_URL, strict: true });
+        const mod = await import(`data:text/javascript,${ encodeURIComponent(moduleSource) }`);
+
+        // Paths which name a helper are checked when the render function is created.
+        const helpers = new Map([ [ 'noop', 'no-op' ] ]);
+        const render = mod.default(helpers, new Map(), { strict: false });
+
+        assertEqual('<p>Ada</p>\n<p>no-op</p>\n', render({ user: { name: 'Ada' } }));
+
+        // The template is strict because it was precompiled in strict mode.
+        assertEqual(true, mod.compileOptions.strict);
+        assertThrows(() => render({}), (error) => {
+            assertEqual('MISSING_PATH', error.code);
+            assertEqual('page.html', error.filename);
+            assertEqual(1, error.lineNumber);
+            assertEqual(5, error.startPosition);
+        });
+
+        assertThrows(() => precompile(tree, { escape: (str) => str }), (error) => {
+            assert(error instanceof TypeError);
+        });
+    },
+];
@@ -0,0 +1,139 @@
+import { fileURLToPath } from 'node:url';
+import { AssertionError, assertEqual } from 'kixx-assert';
+import tokenize from '../lib/tokenize.js';
+import buildSyntaxTree from '../lib/build-syntax-tree.js';
+import print from '../lib/print.js';
+import { readFixtureFiles } from './shared.js';
+
+
+const FIXTURE_DIRECTORIES = [ 'templates', 'partials' ];
+
+
+function parse(filename, source) {
+    return buildSyntaxTree(null, tokenize(null, filename, source));
+}
+
+// Compare trees without their tokens, which hold the line and column of each node. The
+// indentation and quotes which format mode changes can be left out of the comparison too.
+function serializeTree(tree, { ignoreFormatting } = {}) {
+    return JSON.stringify(tree, (key, value) => {
+        if (key === 'tokens' || (ignoreFormatting && key === 'quote')) {
+            return undefined;
+        }
+        if (ignoreFormatting && key === 'str') {
+            return value.replace(/^[ \t]+/gm, '');
+        }
+        return value;
+    }, 2);
+}
+
+
+export default [
+    async function test_roundTripFixtures() {
+        for (const dirname of FIXTURE_DIRECTORIES) {
+            // eslint-disable-next-line no-await-in-loop
+            const files = await readFixtureFiles(fileURLToPath(new URL(`./${ dirname }/`, import.meta.url)));
+
+            for (const { filename, source } of files) {
+                const tree = parse(filename, source);
+
+                // The printed template parses to the same tree.
+                const printed = print(tree);
+                assertEqual(serializeTree(tree), serializeTree(parse(filename, printed)), `print ${ dirname }/${ filename }`);
+
+                // Formatting only changes the indentation of lines and the quotes, and formatting again changes nothing.
+                const formatted = print(tree, { format: true });
+                const formattedTree = parse(filename, formatted);
+                assertEqual(
+                    serializeTree(tree, { ignoreFormatting: true }),
+                    serializeTree(formattedTree, { ignoreFormatting: true }),
+                    `format ${ dirname }/${ filename }`
+                );
+                assertEqual(formatted, print(formattedTree, { format: true }), `format again ${ dirname }/${ filename }`);
+            }
+        }
+    },
+
+    function test_printNodeTypes() {
+        const source = [
+            '{{!-- A comment',
+            '    over two lines --}}{{!-- and another --}}',
+            '<h1>{{ title }}</h1>{{{ html }}}{{& markdown}}',
+            '{{format_date date format=\'short\' locale=(lookup @root.settings "locale") }}',
+            '{{# ifEqual status "open"}}Open{{ else }}Closed{{/ifEqual}}',
+            '{{#each items as |item index|}}{{~ item.label? ~}}, {{ ../title }}{{/each}}',
+            '{{> "card.html" item compact=true count=3 }}{{>list.html}}',
+        ].join('\n');
+
+        const tree = parse('page.html', source);
+
+        // Spacing inside the braces and the quotes are printed the way they were written.
+        assertEqual(source, print(tree));
+    },
+
+    function test_printChangedTree() {
+        const tree = parse('page.html', '{{#if user}}<p>{{ user.name }}</p>{{/if}}\n{{> card.html }}');
+
+        // Changes to the nodes show up in the output, and the close tag follows the open tag.
+        tree[0].exp[0] = { type: 'PATH', path: [ 'ifEmpty' ], pathString: 'ifEmpty' };
+        tree[0].children[1].exp.push({ type: 'LITERAL', value: 'Anonymous' });
+        tree[2].name = 'partials/user card.html';
+        tree.push({ type: 'PATH_EXPRESSION', exp: [{ type: 'PATH', path: [ 'footer' ], pathString: 'footer', optional: true }] });
+
+        // The tree ends with the line break the tokenizer adds to the last line.
+        assertEqual('{{#ifEmpty user}}<p>{{ user.name "Anonymous" }}</p>{{/ifEmpty}}\n{{> "partials/user card.html" }}\n{{ footer? }}', print(tree));
+    },
+
+    function test_formatMode() {
+        const source = [
+            '<ul>',
+            '  {{#each   items as |item|  }}',
+            '  <li class=\'item\'>',
+            '      {{format_date  item.date   format = \'short\'}}',
+            '  </li>',
+            '      {{ else}}',
+            '  <li>None</li>',
+            '              {{/each}}',
+            '</ul>',
+            '{{#extends \'layout.html\'}}{{#block \'body\'}}',
+            '<p>{{{item.html}}} {{&item.text}} {{>"card.html"  }}</p>',
+            '{{/block}}{{/extends}}',
+        ].join('\n');
+
+        assertEqual([
+            '<ul>',
+            '  {{#each items as |item|}}',
+            '      <li class=\'item\'>',
+            '          {{ format_date item.date format="short" }}',
+            '      </li>',
+            '  {{else}}',
+            '      <li>None</li>',
+            '  {{/each}}',
+            '</ul>',
+            // Blocks opened on the same line are indented one level.
+            '{{#extends "layout.html"}}{{#block "body"}}',
+            '    <p>{{{ item.html }}} {{{ item.text }}} {{> card.html }}</p>',
+            '{{/block}}{{/extends}}',
+        ].join('\n'), print(parse('page.html', source), { format: true }));
+
+        assertEqual('{{#if a}}\n\t<b>{{ a }}</b>\n{{/if}}', print(parse('page.html', '{{#if a}}\n<b>{{a}}</b>\n{{/if}}'), { format: true, indent: '\t' }));
+    },
+
+    function test_printQuotes() {
+        const tree = parse('page.html', '{{ t "it\'s" }}{{ t \'say "hi"\' }}');
+
+        // A string is printed with the other quote when it contains the quote it would be printed with.
+        assertEqual('{{ t "it\'s" }}{{ t \'say "hi"\' }}', print(tree, { format: true }));
+
+        tree[0].exp[1].value = 'both \' and "';
+
+        try {
+            print(tree);
+        } catch (error) {
+            assertEqual('The string "both \' and \\"" cannot be printed because it contains both kinds of quotes', error.message);
+            return;
+        }
+
+        throw new AssertionError('Expected print() to throw');
+    },
+];
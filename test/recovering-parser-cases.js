@@ -0,0 +1,86 @@
+import { AssertionError, assertEqual } from 'kixx-assert';
+import tokenize from '../lib/tokenize.js';
+import buildSyntaxTree from '../lib/build-syntax-tree.js';
+
+
+function parse(options, filename, source) {
+    return buildSyntaxTree(options, tokenize(null, filename, source));
+}
+
+
+export default [
+    function test_collectsAllErrors() {
+        const source = [
+            '<h1>{{ title </h1>',
+            '<p>{{ body }}</p>',
+            '{{#each items as |item|}}',
+            '    {{#if item}}',
+            '    <li>{{ item.$name }}</li>',
+            '{{/each}}',
+            '{{else}}',
+            '{{ upper (trim name }}',
+        ].join('\n');
+
+        const { diagnostics } = parse({ recover: true }, 'page.html', source);
+
+        assertEqual(5, diagnostics.length);
+
+        assertEqual('error', diagnostics[0].severity);
+        assertEqual('Failed to close mustache opened in page.html on line 1', diagnostics[0].message);
+        assertEqual('page.html', diagnostics[0].filename);
+        assertEqual(1, diagnostics[0].lineNumber);
+        assertEqual(4, diagnostics[0].startPosition);
+        assertEqual(5, diagnostics[0].endPosition);
+
+        // The "#if" block is reported as unclosed when "/each" closes the block around it.
+        assertEqual('Failed to close block opened in page.html on line 4', diagnostics[1].message);
+        assertEqual(4, diagnostics[1].lineNumber);
+
+        assertEqual('Invalid JavaScript symbol character "$" in expression in page.html starting on line 5', diagnostics[2].message);
+        assertEqual('Unexpected "{{else}}" outside of a helper block in page.html on line 7', diagnostics[3].message);
+        assertEqual('Unclosed parenthesis "(" in expression in page.html starting on line 8', diagnostics[4].message);
+    },
+
+    function test_returnsPartialTree() {
+        const source = [
+            '{{#if ok}}',
+            '<p>{{ ../$bad }}</p>',
+            '{{/each}}',
+            '<footer>{{ year }}</footer>',
+        ].join('\n');
+
+        const { tree, diagnostics } = parse({ recover: true }, 'page.html', source);
+
+        assertEqual(2, diagnostics.length);
+        assertEqual(
+            'The "{{#if}}" block opened in page.html on line 1 was closed with "{{/each}}" in page.html on line 3',
+            diagnostics[1].message
+        );
+        assertEqual(1, diagnostics[1].related.lineNumber);
+
+        // The tag with a bad path is left out, and the mismatched close still closes the block.
+        assertEqual('BLOCK_OPEN', tree[0].type);
+        assertEqual('<p>,</p>\n,BLOCK_CLOSE', tree[0].children.slice(1).map((node) => node.str || node.type).join(','));
+        assertEqual('year', tree.find((node) => node.type === 'PATH_EXPRESSION').exp[0].pathString);
+    },
+
+    function test_validTemplate() {
+        const source = '{{#each items as |item|}}<li>{{ item }}</li>{{/each}}';
+
+        const { tree, diagnostics } = parse({ recover: true }, 'page.html', source);
+
+        assertEqual(0, diagnostics.length);
+        assertEqual(JSON.stringify(parse(null, 'page.html', source)), JSON.stringify(tree));
+    },
+
+    function test_throwsWithoutRecover() {
+        try {
+            parse(null, 'page.html', '{{#if a}}{{/each}}{{else}}');
+        } catch (error) {
+            assertEqual('The "{{#if}}" block opened in page.html on line 1 was closed with "{{/each}}" in page.html on line 1', error.message);
+            return;
+        }
+
+        throw new AssertionError('Expected buildSyntaxTree() to throw');
+    },
+];
@@ -0,0 +1,113 @@
+import { assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+import MemoryLoader from '../lib/memory-loader.js';
+
+
+export default [
+    function test_partialContextArgument() {
+        const engine = new TemplateEngine();
+
+        engine.registerPartial('card.html', '<div>{{ title }} by {{ author }}</div>');
+        engine.compile('list.html', '{{#each books as |book|}}{{> card.html book }}{{/each}}');
+
+        const html = engine.render('list.html', {
+            title: 'Outer title',
+            books: [
+                { title: 'Dune', author: 'Frank Herbert' },
+                { title: 'Emma', author: 'Jane Austen' },
+            ],
+        });
+
+        assertEqual('<div>Dune by Frank Herbert</div>\n<div>Emma by Jane Austen</div>\n\n', html);
+    },
+
+    function test_partialNamedArguments() {
+        const engine = new TemplateEngine();
+
+        engine.registerPartial('card.html', '<div class="{{ variant }}">{{ label }}: {{ title }}</div>');
+        engine.compile('page.html', '{{> card.html book label="Featured" variant=style.card }}|{{> "card.html" label=name }}');
+
+        const html = engine.render('page.html', {
+            title: 'Outer title',
+            name: 'Plain',
+            style: { card: 'wide' },
+            book: { title: 'Dune' },
+        });
+
+        assertEqual('<div class="wide">Featured: Dune</div>\n|<div class="">Plain: Outer title</div>\n\n', html);
+    },
+
+    function test_layoutInheritance() {
+        const loader = new MemoryLoader({
+            'layout.html': [
+                '<title>{{#block "title"}}Default title{{/block}}</title>',
+                '{{#if showNav }}<nav>{{#block "nav"}}Default nav{{/block}}</nav>{{/if}}',
+                '<main>{{#block "content"}}Default content{{/block}}</main>',
+            ].join('\n'),
+            'pages/article.html': [
+                '{{#extends "../layout.html"}}',
+                '{{#block "title"}}Article: {{ title }}{{/block}}',
+                '{{#block "nav"}}Article nav{{/block}}',
+                '{{#block "content"}}<p>Article body</p>{{/block}}',
+                '{{/extends}}',
+            ].join('\n'),
+            'pages/featured.html': [
+                'Content outside of blocks is ignored.',
+                '{{#extends "./article.html"}}',
+                '{{#block "content"}}<p>Featured: {{ title }}</p>{{/block}}',
+                '{{/extends}}',
+            ].join('\n'),
+        });
+
+        const engine = new TemplateEngine({ loader });
+
+        assertEqual([
+            '<title>Article: Dune</title>',
+            '<nav>Article nav</nav>',
+            '<main><p>Article body</p></main>',
+            '',
+        ].join('\n'), engine.render('pages/article.html', { title: 'Dune', showNav: true }));
+
+        assertEqual([
+            '<title>Article: Dune</title>',
+            '',
+            '<main><p>Featured: Dune</p></main>',
+            '',
+        ].join('\n'), engine.render('pages/featured.html', { title: 'Dune', showNav: false }));
+
+        // The layout renders its default block content when rendered directly.
+        assertEqual([
+            '<title>Default title</title>',
+            '<nav>Default nav</nav>',
+            '<main>Default content</main>',
+            '',
+        ].join('\n'), engine.render('layout.html', { showNav: true }));
+    },
+
+    function test_rawOutput() {
+        const engine = new TemplateEngine();
+
+        engine.compile('page.html', [
+            '<article>{{{ article.body }}}</article>',
+            '<article>{{& article.body }}</article>',
+            '<article>{{{',
+            '    article.body',
+            '}}}</article>',
+            '<p>{{ article.body }}</p>',
+            '<script>const x = { n: {{ article.n }}}</script>',
+        ].join('\n'));
+
+        const html = engine.render('page.html', {
+            article: { body: '<p>Tom & Jerry</p>', n: 1 },
+        });
+
+        assertEqual([
+            '<article><p>Tom & Jerry</p></article>',
+            '<article><p>Tom & Jerry</p></article>',
+            '<article><p>Tom & Jerry</p></article>',
+            '<p>&lt;p&gt;Tom &amp; Jerry&lt;/p&gt;</p>',
+            '<script>const x = { n: 1}</script>',
+            '',
+        ].join('\n'), html);
+    },
+];
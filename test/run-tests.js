@@ -2,11 +2,32 @@ import process from 'node:process';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { assert, assertEqual, assertArray, assertFalsy, AssertionError } from 'kixx-assert';
-import { tokenize, buildSyntaxTree, helpers } from '../mod.js';
+import { tokenize, buildSyntaxTree, TemplateEngine } from '../mod.js';
 import expectedErrorCases from './expected-error-cases.js';
+import templateEngineCases from './template-engine-cases.js';
+import loaderCases from './loader-cases.js';
+import renderCases from './render-cases.js';
+import contextualEscapingCases from './contextual-escaping-cases.js';
+import escapeStrategyCases from './escape-strategy-cases.js';
+import asyncRenderCases from './async-render-cases.js';
+import streamRenderCases from './stream-render-cases.js';
+import precompileCases from './precompile-cases.js';
+import codegenCases from './codegen-cases.js';
+import strictModeCases from './strict-mode-cases.js';
+import scopePathCases from './scope-path-cases.js';
+import dataVariableCases from './data-variable-cases.js';
+import subexpressionCases from './subexpression-cases.js';
+import whitespaceControlCases from './whitespace-control-cases.js';
+import recoveringParserCases from './recovering-parser-cases.js';
+import errorReportingCases from './error-reporting-cases.js';
+import sourceMapCases from './source-map-cases.js';
+import analyzeCases from './analyze-cases.js';
+import dataContractCases from './data-contract-cases.js';
+import contextValidationCases from './context-validation-cases.js';
+import printCases from './print-cases.js';
+import transformCases from './transform-cases.js';
 import { readUtf8File, readFixtureFiles } from './shared.js';
 import templateContext from './template-context.js';
-import * as templateEngine from './template-engine.js';
 import * as customHelpers from './custom-helpers.js';
 
 
@@ -18,11 +39,110 @@ async function main() {
         testCase();
     });
 
+    templateEngineCases.forEach((testCase) => {
+        testCase();
+    });
+
+    loaderCases.forEach((testCase) => {
+        testCase();
+    });
+
+    renderCases.forEach((testCase) => {
+        testCase();
+    });
+
+    contextualEscapingCases.forEach((testCase) => {
+        testCase();
+    });
+
+    escapeStrategyCases.forEach((testCase) => {
+        testCase();
+    });
+
+    for (const testCase of asyncRenderCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    for (const testCase of streamRenderCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    for (const testCase of precompileCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    for (const testCase of codegenCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    for (const testCase of strictModeCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    scopePathCases.forEach((testCase) => {
+        testCase();
+    });
+
+    dataVariableCases.forEach((testCase) => {
+        testCase();
+    });
+
+    for (const testCase of subexpressionCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    for (const testCase of whitespaceControlCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    recoveringParserCases.forEach((testCase) => {
+        testCase();
+    });
+
+    for (const testCase of errorReportingCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    sourceMapCases.forEach((testCase) => {
+        testCase();
+    });
+
+    analyzeCases.forEach((testCase) => {
+        testCase();
+    });
+
+    dataContractCases.forEach((testCase) => {
+        testCase();
+    });
+
+    for (const testCase of contextValidationCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    for (const testCase of printCases) {
+        // eslint-disable-next-line no-await-in-loop
+        await testCase();
+    }
+
+    transformCases.forEach((testCase) => {
+        testCase();
+    });
+
     await checkTemplateFileOutputs();
     await renderTemplates();
+    await renderTemplates({ codegen: true });
 }
 
-async function renderTemplates() {
+async function renderTemplates(options) {
     const partials = [
         'html-header.html',
         'site-header.html',
@@ -36,9 +156,7 @@ async function renderTemplates() {
     const partialDir = path.join(testDir, 'partials');
     const templateDir = path.join(testDir, 'templates');
 
-    for (const [ helperName, helper ] of helpers) {
-        templateEngine.registerHelper(helperName, helper);
-    }
+    const templateEngine = new TemplateEngine(options);
 
     for (const helperName of Object.keys(customHelpers)) {
         templateEngine.registerHelper(helperName, customHelpers[helperName]);
@@ -53,14 +171,14 @@ async function renderTemplates() {
     const baseTemplateSource = await readUtf8File(path.join(templateDir, 'base.html'));
     const homeTemplateSource = await readUtf8File(path.join(templateDir, 'home.html'));
 
-    const renderBase = templateEngine.compileTemplate('base.html', baseTemplateSource);
-    const renderHome = templateEngine.compileTemplate('home.html', homeTemplateSource);
+    templateEngine.compile('base.html', baseTemplateSource);
+    templateEngine.compile('home.html', homeTemplateSource);
 
-    const body = renderHome(templateContext);
+    const body = templateEngine.render('home.html', templateContext);
 
     const newContext = Object.assign({}, templateContext, { body });
 
-    const html = renderBase(newContext);
+    const html = templateEngine.render('base.html', newContext);
     const expectedHtml = await readUtf8File(path.join(testDir, 'output-snapshot.html'));
 
     if (expectedHtml !== html) {
@@ -0,0 +1,101 @@
+import { AssertionError, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+
+
+// Run each case with both render backends.
+function createEngines(options) {
+    return [ false, true ].map((codegen) => {
+        return new TemplateEngine(Object.assign({ codegen }, options));
+    });
+}
+
+
+export default [
+    function test_parentScopePaths() {
+        const source = [
+            '{{#each groups as |item|}}',
+            '{{#each item.children as |item|}}',
+            '{{ item.name }} in {{ ../item.name }} of {{ ../../title }}|',
+            '{{/each}}',
+            '{{/each}}',
+        ].join('');
+
+        const context = {
+            title: 'Catalog',
+            groups: [
+                { name: 'Books', children: [{ name: 'Dune' }, { name: 'Emma' }] },
+                { name: 'Films', children: [{ name: 'Alien' }] },
+            ],
+        };
+
+        for (const engine of createEngines()) {
+            engine.compile('page.html', source);
+
+            assertEqual(
+                'Dune in Books of Catalog|Emma in Books of Catalog|Alien in Films of Catalog|\n',
+                engine.render('page.html', context)
+            );
+        }
+    },
+
+    function test_ifDoesNotStartAScope() {
+        const source = '{{#each items as |title|}}{{#if title }}{{ title }}/{{ ../title }}{{/if}} {{/each}}';
+
+        for (const engine of createEngines()) {
+            engine.compile('page.html', source);
+
+            assertEqual('a/Top b/Top \n', engine.render('page.html', { title: 'Top', items: [ 'a', 'b' ] }));
+        }
+    },
+
+    function test_rootAndThis() {
+        const source = [
+            '{{#each tags as |tag|}}',
+            '<a href="{{ @root.site.url }}/{{ this }}">{{ this }} on {{ @root.site.name }}</a>',
+            '{{/each}}',
+            '{{#each people as |person|}}[{{ this.name }}]{{/each}}',
+            '{{ this.site.name }}',
+        ].join('');
+
+        const context = {
+            site: { name: 'Kixx', url: 'https://example.com' },
+            tags: [ 'news', 'tech' ],
+            people: [{ name: 'Ada' }],
+        };
+
+        for (const engine of createEngines()) {
+            engine.compile('page.html', source);
+
+            assertEqual(
+                '<a href="https://example.com/news">news on Kixx</a><a href="https://example.com/tech">tech on Kixx</a>[Ada]Kixx\n',
+                engine.render('page.html', context)
+            );
+        }
+    },
+
+    function test_partialScopes() {
+        for (const engine of createEngines()) {
+            engine.registerPartial('card.html', '{{ title }} ({{ ../title }}, {{ @root.title }})');
+            engine.compile('page.html', '{{#each books as |book|}}{{> card.html book }}{{/each}}');
+
+            const html = engine.render('page.html', { title: 'Library', books: [{ title: 'Dune' }] });
+
+            assertEqual('Dune (Library, Library)\n\n', html);
+        }
+    },
+
+    function test_missingScopedPathInStrictMode() {
+        for (const engine of createEngines({ strict: true })) {
+            engine.compile('page.html', '{{#each items as |item|}}{{ ../titel }}{{/each}}');
+
+            try {
+                engine.render('page.html', { title: 'x', items: [ 1 ] });
+            } catch (error) {
+                assertEqual('Missing "../titel" in "page.html" on line 1; `../titel` does not exist', error.message);
+                continue;
+            }
+
+            throw new AssertionError('Expected render() to throw');
+        }
+    },
+];
@@ -0,0 +1,152 @@
+import { AssertionError, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+import tokenize from '../lib/tokenize.js';
+import buildSyntaxTree from '../lib/build-syntax-tree.js';
+import createRenderFunction from '../lib/create-render-function.js';
+
+
+// Run each case with both render backends.
+function createEngines() {
+    return [ false, true ].map((codegen) => {
+        const engine = new TemplateEngine({ codegen });
+
+        engine.registerHelper('bold', function bold() {
+            // eslint-disable-next-line no-invalid-this
+            return `<b>${ this.renderPrimary() }</b>`;
+        });
+
+        engine.registerHelper('prefix', function prefix(context, options, str) {
+            // eslint-disable-next-line no-invalid-this
+            return `${ str }${ this.renderPrimary() }`;
+        });
+
+        engine.registerPartial('item.html', '<li>{{ name }}</li>');
+
+        return engine;
+    });
+}
+
+// Describe each range as "type name filename:line:column text" for easy comparison.
+function describeRanges({ output, ranges }) {
+    return ranges.map(({ start, end, type, name, filename, lineNumber, startPosition }) => {
+        return `${ type } ${ name } ${ filename }:${ lineNumber }:${ startPosition } ${ JSON.stringify(output.slice(start, end)) }`;
+    });
+}
+
+
+export default [
+    function test_ranges() {
+        const source = [
+            '<ul>',
+            '{{#each items as |item|}}{{> item.html item }}{{/each}}',
+            '</ul>',
+            '{{#bold}}Hi {{ title }}{{/bold}}',
+        ].join('\n');
+
+        for (const engine of createEngines()) {
+            engine.compile('page.html', source, { sourceMap: true });
+
+            const result = engine.render('page.html', { title: 'Bob', items: [{ name: 'a' }, { name: 'b' }] });
+
+            assertEqual('<ul>\n<li>a</li>\n<li>b</li>\n\n</ul>\n<b>Hi Bob</b>\n', result.output);
+
+            assertEqual([
+                'content null page.html:1:0 "<ul>\\n"',
+                'helper each page.html:2:2 "<li>a</li>\\n<li>b</li>\\n"',
+                'partial item.html page.html:2:27 "<li>a</li>\\n"',
+                'content null item.html:1:0 "<li>"',
+                'expression name item.html:1:6 "a"',
+                'content null item.html:1:14 "</li>\\n"',
+                'partial item.html page.html:2:27 "<li>b</li>\\n"',
+                'content null item.html:1:0 "<li>"',
+                'expression name item.html:1:6 "b"',
+                'content null item.html:1:14 "</li>\\n"',
+                'content null page.html:2:55 "\\n"',
+                'content null page.html:3:0 "</ul>\\n"',
+                'helper bold page.html:4:2 "<b>Hi Bob</b>"',
+                'content null page.html:4:9 "Hi "',
+                'expression title page.html:4:14 "Bob"',
+                'content null page.html:4:32 "\\n"',
+            ].join('\n'), describeRanges(result).join('\n'));
+        }
+    },
+
+    function test_repeatedOutput() {
+        const source = [
+            '{{#each items as |item|}}{{> item.html item }}{{/each}}',
+            '{{#prefix label}}{{> item.html item }}{{/prefix}}',
+        ].join('\n');
+
+        for (const engine of createEngines()) {
+            engine.compile('page.html', source, { sourceMap: true });
+
+            const result = engine.render('page.html', { label: '<li>a</li>\n', item: { name: 'a' }, items: [{ name: 'a' }, { name: 'a' }] });
+
+            assertEqual('<li>a</li>\n<li>a</li>\n\n<li>a</li>\n<li>a</li>\n\n', result.output);
+
+            // Each partial is mapped to its own output, even when the output is the same. The
+            // prefix helper puts the same text in front of its block, so the output of the block
+            // could be in two places, and the ranges inside of it are left out.
+            assertEqual([
+                'helper each page.html:1:2 "<li>a</li>\\n<li>a</li>\\n"',
+                'partial item.html page.html:1:27 "<li>a</li>\\n"',
+                'content null item.html:1:0 "<li>"',
+                'expression name item.html:1:6 "a"',
+                'content null item.html:1:14 "</li>\\n"',
+                'partial item.html page.html:1:27 "<li>a</li>\\n"',
+                'content null item.html:1:0 "<li>"',
+                'expression name item.html:1:6 "a"',
+                'content null item.html:1:14 "</li>\\n"',
+                'content null page.html:1:55 "\\n"',
+                'helper prefix page.html:2:2 "<li>a</li>\\n<li>a</li>\\n"',
+                'content null page.html:2:49 "\\n"',
+            ].join('\n'), describeRanges(result).join('\n'));
+        }
+    },
+
+    function test_sourceMap() {
+        for (const engine of createEngines()) {
+            engine.compile('page.html', '<p>\n  {{ title }}\n</p>\n{{> item.html }}', { sourceMap: true });
+
+            const { sourceMap } = engine.render('page.html', { title: 'Hi', name: 'x' });
+
+            assertEqual(3, sourceMap.version);
+            assertEqual('page.html,item.html', sourceMap.sources.join(','));
+            // Line 2 maps the indentation, the title, and the line break to the template.
+            assertEqual('AAAA;AACA,EAAI,EAAS;AACb;ACFA,IAAM,CAAQ;ADGE;', sourceMap.mappings);
+        }
+    },
+
+    function test_layoutBlocks() {
+        const engine = new TemplateEngine();
+
+        engine.registerPartial('layout.html', '<main>{{#block "body"}}default{{/block}}</main>');
+        engine.compile('page.html', '{{#extends "layout.html"}}{{#block "body"}}<p>{{ title }}</p>{{/block}}{{/extends}}', { sourceMap: true });
+
+        const result = engine.render('page.html', { title: 'Hi' });
+
+        assertEqual('<main><p>Hi</p></main>\n', result.output);
+
+        assertEqual([
+            'content null layout.html:1:0 "<main>"',
+            'block body layout.html:1:8 "<p>Hi</p>"',
+            'content null page.html:1:43 "<p>"',
+            'expression title page.html:1:48 "Hi"',
+            'content null page.html:1:57 "</p>"',
+            'content null layout.html:1:40 "</main>\\n"',
+        ].join('\n'), describeRanges(result).join('\n'));
+    },
+
+    function test_asyncNotSupported() {
+        const tree = buildSyntaxTree(null, tokenize(null, 'page.html', '{{ title }}'));
+
+        try {
+            createRenderFunction({ async: true, sourceMap: true }, new Map(), new Map(), tree);
+        } catch (error) {
+            assertEqual('Source maps are not supported with async rendering', error.message);
+            return;
+        }
+
+        throw new AssertionError('Expected createRenderFunction() to throw');
+    },
+];
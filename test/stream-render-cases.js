@@ -0,0 +1,180 @@
+import { Writable } from 'node:stream';
+import { WritableStream } from 'node:stream/web';
+import { setTimeout as delay } from 'node:timers/promises';
+import { AssertionError, assert, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+import LineSyntaxError from '../lib/line-syntax-error.js';
+
+
+function createEngine() {
+    const engine = new TemplateEngine();
+
+    engine.registerHelper('slow', async (context, options, str) => {
+        await delay(10);
+        return str.toUpperCase();
+    });
+
+    engine.registerHelper('fail', async () => {
+        await delay(1);
+        throw new Error('Service unavailable');
+    });
+
+    engine.compile('page.html', '<head>{{ title }}</head>\n<body>{{slow body }}{{#each items as |item|}}<i>{{ item }}</i>{{/each}}</body>');
+    engine.compile('broken.html', '<head></head>\n{{fail "now" }}');
+
+    return engine;
+}
+
+const pageContext = {
+    title: 'Listing',
+    body: 'content',
+    items: delay(1, [ 'a', 'b' ]),
+};
+
+const expectedPage = '<head>Listing</head>\n<body>CONTENT<i>a</i><i>b</i></body>\n';
+
+
+export default [
+    async function test_streamChunks() {
+        const engine = createEngine();
+        const chunks = [];
+
+        for await (const chunk of engine.stream('page.html', pageContext)) {
+            chunks.push(chunk);
+        }
+
+        // The head is flushed before the slow helper output is available.
+        assertEqual('<head>Listing</head>\n<body>', chunks[0]);
+        assertEqual(expectedPage, chunks.join(''));
+    },
+
+    async function test_streamSendsOutputAsItRenders() {
+        for (const codegen of [ false, true ]) {
+            const received = [];
+            const seenByHelper = [];
+            let partialLoaded = false;
+
+            const engine = new TemplateEngine({
+                codegen,
+                loader: {
+                    async resolve(name) {
+                        await delay(10);
+                        partialLoaded = true;
+                        return name === 'slow.html' ? '<main>{{ body }}</main>' : null;
+                    },
+                },
+            });
+
+            engine.registerHelper('check', () => {
+                seenByHelper.push(received.join(''));
+                return '';
+            });
+
+            engine.registerPartial('card.html', '<div>{{ title }}</div>{{check "card" }}');
+            engine.compile('page.html', '<head>{{ title }}</head>\n{{check "page" }}{{> card.html }}{{> slow.html }}<footer></footer>');
+
+            // eslint-disable-next-line no-await-in-loop
+            for await (const chunk of engine.stream('page.html', pageContext)) {
+                if (received.length === 0) {
+                    assertEqual(false, partialLoaded);
+                }
+                received.push(chunk);
+            }
+
+            // Output is sent before each helper is called, including output from partials.
+            assertEqual('<head>Listing</head>\n', seenByHelper[0]);
+            assertEqual('<head>Listing</head>\n<div>Listing</div>', seenByHelper[1]);
+            assertEqual('<head>Listing</head>\n<div>Listing</div>\n<main>content</main>\n<footer></footer>\n', received.join(''));
+        }
+    },
+
+    async function test_streamToNodeWritable() {
+        const engine = createEngine();
+        const written = [];
+
+        const destination = new Writable({
+            highWaterMark: 1,
+            decodeStrings: false,
+            write(chunk, encoding, callback) {
+                written.push(chunk);
+                // A slow consumer forces the renderer to wait for "drain".
+                setTimeout(callback, 1);
+            },
+        });
+
+        await engine.streamTo('page.html', pageContext, destination);
+
+        assertEqual(expectedPage, written.join(''));
+        assert(destination.writableFinished, 'the destination is ended');
+    },
+
+    async function test_streamToWebWritableStream() {
+        const engine = createEngine();
+        const written = [];
+
+        const destination = new WritableStream({
+            async write(chunk) {
+                await delay(1);
+                written.push(chunk);
+            },
+        }, { highWaterMark: 1 });
+
+        await engine.streamTo('page.html', pageContext, destination);
+
+        assertEqual(expectedPage, written.join(''));
+    },
+
+    async function test_streamErrorDestroysNodeWritable() {
+        const engine = createEngine();
+        const written = [];
+        let destroyError = null;
+
+        const destination = new Writable({
+            write(chunk, encoding, callback) {
+                written.push(String(chunk));
+                callback();
+            },
+            destroy(error, callback) {
+                destroyError = error;
+                callback(error);
+            },
+        });
+
+        // The stream emits the error after it is destroyed.
+        destination.on('error', () => {});
+
+        try {
+            await engine.streamTo('broken.html', {}, destination);
+        } catch (error) {
+            assert(error instanceof LineSyntaxError);
+            assertEqual('Error in helper "fail" in "broken.html" on line 2', error.message);
+            assertEqual(error, destroyError);
+            assertEqual('<head></head>\n', written.join(''));
+            return;
+        }
+
+        throw new AssertionError('Expected streamTo() to reject');
+    },
+
+    async function test_streamErrorAbortsWebWritableStream() {
+        const engine = createEngine();
+        let abortReason = null;
+
+        const destination = new WritableStream({
+            write() {},
+            abort(reason) {
+                abortReason = reason;
+            },
+        });
+
+        try {
+            await engine.streamTo('broken.html', {}, destination);
+        } catch (error) {
+            assertEqual('Error in helper "fail" in "broken.html" on line 2', error.message);
+            assertEqual(error, abortReason);
+            return;
+        }
+
+        throw new AssertionError('Expected streamTo() to reject');
+    },
+];
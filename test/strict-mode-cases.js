@@ -0,0 +1,102 @@
+import { AssertionError, assert, assertEqual } from 'kixx-assert';
+import { tokenize, buildSyntaxTree } from '../mod.js';
+import TemplateEngine from '../lib/template-engine.js';
+import LineSyntaxError from '../lib/line-syntax-error.js';
+
+
+// Run each case with both render backends.
+function createEngines(options) {
+    return [ false, true ].map((codegen) => {
+        const engine = new TemplateEngine(Object.assign({ strict: true, codegen }, options));
+        engine.registerHelper('shout', (context, opts, str) => String(str).toUpperCase());
+        return engine;
+    });
+}
+
+function assertRenderThrows(engine, source, context, expectedMessage) {
+    engine.compile('page.html', source);
+
+    try {
+        engine.render('page.html', context);
+    } catch (error) {
+        assert(error instanceof LineSyntaxError);
+        assertEqual(expectedMessage, error.message);
+        assertEqual('page.html', error.filename);
+        return;
+    }
+
+    throw new AssertionError(`Expected render() to throw for ${ source }`);
+}
+
+
+export default [
+    function test_parseOptionalPath() {
+        const tokens = tokenize(null, 'page.html', '{{ article.subtitle? }}{{shout title? }}');
+        const tree = buildSyntaxTree(null, tokens);
+
+        assertEqual(true, tree[0].exp[0].optional);
+        assertEqual('article.subtitle', tree[0].exp[0].pathString);
+        assertEqual('subtitle', tree[0].exp[0].path[1]);
+        assertEqual(true, tree[1].exp[1].optional);
+        assertEqual(false, 'optional' in tree[1].exp[0]);
+    },
+
+    function test_missingSegments() {
+        for (const engine of createEngines()) {
+            assertRenderThrows(
+                engine,
+                '<h1>{{ artcle.title }}</h1>',
+                { article: {} },
+                'Missing "artcle.title" in "page.html" on line 1; `artcle` does not exist'
+            );
+
+            assertRenderThrows(
+                engine,
+                'Line 1\n<h1>{{ article.titel }}</h1>',
+                { article: { title: 'Hello' } },
+                'Missing "article.titel" in "page.html" on line 2; `article` exists but `titel` does not'
+            );
+
+            assertRenderThrows(
+                engine,
+                '{{ article.author.name }}',
+                { article: { author: null } },
+                'Missing "article.author.name" in "page.html" on line 1; `article.author` is null so `name` does not exist'
+            );
+
+            // Helper arguments are checked too.
+            assertRenderThrows(
+                engine,
+                '{{#if user.isAdmin }}admin{{/if}}',
+                { user: {} },
+                'Missing "user.isAdmin" in "page.html" on line 1; `user` exists but `isAdmin` does not'
+            );
+        }
+    },
+
+    function test_optionalPaths() {
+        for (const engine of createEngines()) {
+            engine.compile('page.html', '<h1>{{ title }}{{ subtitle? }}</h1>{{#if user.isAdmin? }}admin{{else}}guest{{/if}}{{shout nickname? }}|{{ empty }}');
+
+            const html = engine.render('page.html', { title: 'Hello', user: null, empty: null });
+
+            // Values which exist but are null are not missing.
+            assertEqual('<h1>Hello</h1>guest|\n', html);
+        }
+    },
+
+    async function test_asyncStrictMode() {
+        const engine = new TemplateEngine({ strict: true, async: true });
+
+        engine.compile('page.html', '{{ article.titel }}');
+
+        try {
+            await engine.render('page.html', { article: Promise.resolve({ title: 'Hello' }) });
+        } catch (error) {
+            assertEqual('Missing "article.titel" in "page.html" on line 1; `article` exists but `titel` does not', error.message);
+            return;
+        }
+
+        throw new AssertionError('Expected render() to reject');
+    },
+];
@@ -0,0 +1,106 @@
+import { AssertionError, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+
+
+// Run each case with both render backends.
+function createEngines(options) {
+    return [ false, true ].map((codegen) => {
+        const engine = new TemplateEngine(Object.assign({ codegen }, options));
+
+        engine.registerHelper('upper', (context, opts, str) => String(str).toUpperCase());
+        engine.registerHelper('concat', (context, opts, ...parts) => parts.join(opts.separator || ''));
+        engine.registerHelper('resolve', (context, opts, ...values) => values.find((val) => val));
+
+        return engine;
+    });
+}
+
+
+export default [
+    function test_positionalSubexpressions() {
+        const source = [
+            '{{#if (ifEqual status "open") }}open{{else}}closed{{/if}} ',
+            '{{ upper (resolve title name) }} ',
+            '{{ concat (upper first) (concat "-" (upper last)) }}',
+        ].join('');
+
+        for (const engine of createEngines()) {
+            engine.compile('page.html', source);
+
+            assertEqual(
+                'open FALLBACK A-B\n',
+                engine.render('page.html', { status: 'open', name: 'fallback', first: 'a', last: 'b' })
+            );
+            assertEqual(
+                'closed TITLE A-B\n',
+                engine.render('page.html', { status: 'done', title: 'title', first: 'a', last: 'b' })
+            );
+        }
+    },
+
+    function test_namedArgumentSubexpressions() {
+        const source = '{{ concat a b separator=(concat " " (upper sep) " ") }}|{{> item.html label=(upper name) }}';
+
+        for (const engine of createEngines()) {
+            engine.registerPartial('item.html', '<{{ label }}>');
+            engine.compile('page.html', source);
+
+            assertEqual('x AND y|<BOB>\n\n', engine.render('page.html', { a: 'x', b: 'y', sep: 'and', name: 'bob' }));
+        }
+    },
+
+    function test_subexpressionHelperErrors() {
+        for (const engine of createEngines()) {
+            engine.registerHelper('fail', () => {
+                throw new Error('Failed');
+            });
+
+            engine.compile('page.html', '\n{{ upper (fail 1) }}');
+
+            try {
+                engine.render('page.html', {});
+            } catch (error) {
+                assertEqual('Error in helper "fail" in "page.html" on line 2', error.message);
+                assertEqual('Failed', error.cause.message);
+                continue;
+            }
+
+            throw new AssertionError('Expected render() to throw');
+        }
+    },
+
+    function test_subexpressionSyntaxErrors() {
+        const cases = [
+            [ '{{ upper (concat a b }}', 'Unclosed parenthesis "(" in expression in page.html starting on line 1' ],
+            [ '{{ upper concat a) }}', 'Unexpected ")" without a matching "(" in expression in page.html starting on line 1' ],
+            [ '{{ upper ((concat a) b) }}', 'A subexpression cannot be used as a helper name in expression in page.html starting on line 1' ],
+            [ '{{ upper () }}', 'Empty subexpression "()" in expression in page.html starting on line 1' ],
+            [ '{{ upper ("a") }}', 'A subexpression must start with a helper name in expression in page.html starting on line 1' ],
+            [ '{{ upper (missing a) }}', 'No helper named "missing" in "page.html" on line 1' ],
+        ];
+
+        for (const engine of createEngines()) {
+            for (const [ source, message ] of cases) {
+                try {
+                    engine.compile('page.html', source);
+                } catch (error) {
+                    assertEqual(message, error.message);
+                    continue;
+                }
+
+                throw new AssertionError(`Expected compile() to throw for ${ source }`);
+            }
+        }
+    },
+
+    async function test_asyncSubexpressions() {
+        const engine = new TemplateEngine({ async: true });
+
+        engine.registerHelper('upper', (context, opts, str) => String(str).toUpperCase());
+        engine.registerHelper('lookup', (context, opts, key) => Promise.resolve(`value of ${ key }`));
+
+        engine.compile('page.html', '{{ upper (lookup (upper key)) }}');
+
+        assertEqual('VALUE OF NAME\n', await engine.render('page.html', { key: Promise.resolve('name') }));
+    },
+];
@@ -0,0 +1,71 @@
+import { AssertionError, assert, assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+
+
+export default [
+    function test_builtInHelpers() {
+        const engine = new TemplateEngine();
+
+        engine.compile('list.html', '{{#each items as |item|}}[{{ item }}]{{/each}}');
+
+        assertEqual('[a][b]\n', engine.render('list.html', { items: [ 'a', 'b' ] }));
+    },
+
+    function test_registerHelperAndPartial() {
+        const engine = new TemplateEngine();
+
+        engine.registerHelper('shout', (context, options, str) => str.toUpperCase());
+        engine.registerPartial('greeting.html', 'Hello {{shout name }}');
+        engine.compile('page.html', '<p>{{> greeting.html }}</p>');
+
+        assertEqual('<p>Hello WORLD\n</p>\n', engine.render('page.html', { name: 'world' }));
+
+        // Re-registering a partial is picked up without recompiling the template.
+        engine.registerPartial('greeting.html', 'Goodbye {{ name }}');
+
+        assertEqual('<p>Goodbye world\n</p>\n', engine.render('page.html', { name: 'world' }));
+    },
+
+    function test_compileCache() {
+        const engine = new TemplateEngine();
+
+        const render1 = engine.compile('page.html', '{{ title }}');
+        const render2 = engine.compile('page.html', '{{ title }}');
+
+        assertEqual(render1, render2, 'unchanged source returns the cached render function');
+
+        const render3 = engine.compile('page.html', '<h1>{{ title }}</h1>');
+
+        assert(render1 !== render3, 'changed source is recompiled');
+        assertEqual('<h1>Hi</h1>\n', engine.render('page.html', { title: 'Hi' }));
+    },
+
+    function test_invalidate() {
+        const engine = new TemplateEngine();
+
+        engine.compile('a.html', 'a');
+        engine.compile('b.html', 'b');
+
+        engine.invalidate('a.html');
+
+        assertEqual(false, engine.hasTemplate('a.html'));
+        assertEqual(true, engine.hasTemplate('b.html'));
+
+        engine.invalidate();
+
+        assertEqual(false, engine.hasTemplate('b.html'));
+    },
+
+    function test_renderUnknownTemplate() {
+        const engine = new TemplateEngine();
+
+        try {
+            engine.render('missing.html', {});
+        } catch (error) {
+            assertEqual('No template named "missing.html" has been compiled', error.message);
+            return;
+        }
+
+        throw new AssertionError('Expected render() to throw');
+    },
+];
@@ -0,0 +1,281 @@
+import { AssertionError, assert, assertEqual } from 'kixx-assert';
+import tokenize from '../lib/tokenize.js';
+import buildSyntaxTree, { NODE_FORMAT_VERSION } from '../lib/build-syntax-tree.js';
+import traverse from '../lib/traverse.js';
+import transform from '../lib/transform.js';
+import print from '../lib/print.js';
+import LineSyntaxError from '../lib/line-syntax-error.js';
+import TemplateEngine from '../lib/template-engine.js';
+
+
+const MESSAGES = {
+    greeting: 'Hello',
+    signIn: 'Sign in',
+};
+
+// Replace {{ t "key" }} with the translated text.
+const translatePlugin = {
+    name: 'translate',
+    nodeFormat: NODE_FORMAT_VERSION,
+    visitors: {
+        HELPER_EXPRESSION(path, context) {
+            const [ helperName, key ] = path.node.exp;
+
+            if (helperName.pathString !== 't') {
+                return;
+            }
+            if (!key || key.type !== 'LITERAL' || !Object.hasOwn(MESSAGES, key.value)) {
+                context.report(path, { code: 'UNKNOWN_MESSAGE', message: `No message for ${ key ? key.value : 'an empty key' }` });
+                return;
+            }
+
+            path.replaceWith({ type: 'CONTENT', str: MESSAGES[key.value] });
+        },
+    },
+};
+
+// Remove {{#debug}} blocks.
+const stripDebugPlugin = {
+    name: 'strip-debug',
+    visitors: {
+        BLOCK_OPEN(path) {
+            if (path.node.exp[0].pathString === 'debug') {
+                path.remove();
+            }
+        },
+    },
+};
+
+// Add a data-track attribute to links.
+const analyticsPlugin = {
+    name: 'analytics',
+    visitors: {
+        CONTENT(path) {
+            path.node.str = path.node.str.replace(/<a /g, '<a data-track="link" ');
+        },
+    },
+};
+
+function parse(filename, source) {
+    return buildSyntaxTree(null, tokenize(null, filename, source));
+}
+
+function assertThrows(fn, check) {
+    try {
+        fn();
+    } catch (error) {
+        check(error);
+        return;
+    }
+    throw new AssertionError('Expected the function to throw');
+}
+
+
+export default [
+    function test_traverseOrder() {
+        const tree = parse('page.html', '{{#each items as |item|}}{{ format item.date style=(lookup @root "short") }}{{else}}None{{/each}}');
+        const visited = [];
+
+        function record(path) {
+            visited.push(path.node.type);
+        }
+
+        traverse(tree, {
+            BLOCK_OPEN: {
+                enter: record,
+                exit() {
+                    visited.push('exit BLOCK_OPEN');
+                },
+            },
+            HELPER_EXPRESSION: record,
+            PATH: record,
+            LITERAL: record,
+            KEY_VALUE: record,
+            SUBEXPRESSION: record,
+            BLOCK_PARAMS: record,
+            ELSE: record,
+            CONTENT: record,
+            BLOCK_CLOSE: record,
+        });
+
+        assertEqual([
+            'BLOCK_OPEN',
+            'PATH',
+            'PATH',
+            'BLOCK_PARAMS',
+            'HELPER_EXPRESSION',
+            'PATH',
+            'PATH',
+            'KEY_VALUE',
+            'SUBEXPRESSION',
+            'PATH',
+            'PATH',
+            'LITERAL',
+            'ELSE',
+            'CONTENT',
+            'BLOCK_CLOSE',
+            'exit BLOCK_OPEN',
+            'CONTENT',
+        ].join('\n'), visited.join('\n'));
+    },
+
+    function test_traversePathMethods() {
+        const tree = parse('page.html', '<p>{{ a }}{{ b }}{{ c }}{{#if d}}{{ e }}{{/if}}</p>');
+        const [ openToken ] = tree[1].tokens;
+        const visited = [];
+
+        traverse(tree, {
+            PATH_EXPRESSION(path) {
+                visited.push(path.node.exp[0].pathString);
+
+                switch (path.node.exp[0].pathString) {
+                    case 'a':
+                        // Nodes which are inserted or replace a node are not visited.
+                        path.insertBefore({ type: 'CONTENT', str: '[' });
+                        path.insertAfter({ type: 'CONTENT', str: ']' });
+                        path.replaceWith([{ type: 'PATH_EXPRESSION', exp: [{ type: 'PATH', path: [ 'x' ], pathString: 'x' }] }]);
+                        break;
+                    case 'b':
+                        path.remove();
+                        break;
+                    case 'e':
+                        assertEqual('BLOCK_OPEN', path.findParent(({ node }) => node.type === 'BLOCK_OPEN').node.type);
+                        break;
+                    default:
+                        break;
+                }
+            },
+            BLOCK_OPEN(path) {
+                path.skip();
+            },
+        });
+
+        assertEqual('a,b,c', visited.join(','));
+        assertEqual('<p>[{{ x }}]{{ c }}{{#if d}}{{ e }}{{/if}}</p>', print(tree));
+
+        // Template nodes are given the tokens of the node they replace.
+        assertEqual(openToken, tree[1].tokens[0]);
+        assertEqual(openToken, tree[2].tokens[0]);
+
+        traverse(tree, {
+            CONTENT(path) {
+                assertThrows(() => path.remove().remove(), (error) => {
+                    assertEqual('Cannot remove a CONTENT node which has already been removed or replaced', error.message);
+                });
+            },
+        });
+
+        assertEqual('{{ x }}{{ c }}{{#if d}}{{ e }}{{/if}}', print(tree));
+    },
+
+    function test_transformDiagnostics() {
+        const tree = parse('page.html', '<h1>{{ t "greeting" }}</h1>\n<p>{{ t "missing" }}</p>');
+
+        const warnPlugin = {
+            name: 'no-literals',
+            visitors: {
+                LITERAL(path, context) {
+                    context.report(path, { severity: 'warning', code: 'LITERAL', message: `Found "${ path.node.value }"` });
+                },
+            },
+        };
+
+        const result = transform(tree, [ warnPlugin, translatePlugin ]);
+
+        assertEqual('<h1>Hello</h1>\n<p>{{ t "missing" }}</p>', print(result.tree));
+        assertEqual(3, result.diagnostics.length);
+
+        // Expression nodes are reported at the tag they belong to.
+        const [ first, , last ] = result.diagnostics;
+        assertEqual('warning', first.severity);
+        assertEqual('no-literals', first.plugin);
+        assertEqual('no-literals: Found "greeting" in "page.html" on line 1', first.message);
+
+        assertEqual('error', last.severity);
+        assertEqual('UNKNOWN_MESSAGE', last.code);
+        assertEqual('translate', last.plugin);
+        assertEqual('page.html', last.filename);
+        assertEqual(2, last.lineNumber);
+        assertEqual(5, last.startPosition);
+    },
+
+    function test_enginePlugins() {
+        const source = [
+            '<a href="/login">{{ t "signIn" }}</a>',
+            '{{#debug}}<pre>{{ context }}</pre>{{/debug}}',
+            '<p>{{ name }}</p>',
+        ].join('\n');
+
+        const engine = new TemplateEngine({ plugins: [ translatePlugin, stripDebugPlugin ] });
+        engine.registerPlugin(analyticsPlugin);
+
+        // Content added by one plugin is seen by the plugins after it.
+        engine.compile('page.html', source);
+        assertEqual('<a data-track="link" href="/login">Sign in</a>\n\n<p>Ada</p>\n', engine.render('page.html', { name: 'Ada' }));
+
+        const codegenEngine = new TemplateEngine({ codegen: true, plugins: [ translatePlugin, stripDebugPlugin, analyticsPlugin ] });
+        codegenEngine.compile('page.html', source);
+        assertEqual('<a data-track="link" href="/login">Sign in</a>\n\n<p>Ada</p>\n', codegenEngine.render('page.html', { name: 'Ada' }));
+
+        // Plugins run on partials too.
+        engine.registerPartial('greeting.html', '{{ t "greeting" }}, {{ name }}');
+        engine.compile('home.html', '{{> greeting.html }}');
+        assertEqual('Hello, Ada\n\n', engine.render('home.html', { name: 'Ada' }));
+    },
+
+    function test_enginePluginDiagnostics() {
+        const warnings = [];
+        const engine = new TemplateEngine({
+            plugins: [
+                translatePlugin,
+                {
+                    name: 'no-blocks',
+                    visitors: {
+                        BLOCK_OPEN(path, context) {
+                            context.report(path.node, { severity: 'warning', message: 'Block' });
+                        },
+                    },
+                },
+            ],
+            onDiagnostic(diagnostic) {
+                warnings.push(diagnostic);
+            },
+        });
+
+        engine.compile('page.html', '{{#if debug}}{{/if}}');
+        assertEqual(1, warnings.length);
+        assertEqual('PLUGIN_DIAGNOSTIC', warnings[0].code);
+        assertEqual('no-blocks: Block in "page.html" on line 1', warnings[0].message);
+
+        // An error stops the template from compiling.
+        assertThrows(() => engine.compile('other.html', '<h1>Home</h1>\n{{ t "nope" }}'), (error) => {
+            assert(error instanceof LineSyntaxError);
+            assertEqual('UNKNOWN_MESSAGE', error.code);
+            assertEqual('other.html', error.filename);
+            assertEqual(2, error.lineNumber);
+            assertEqual('translate: No message for nope in "other.html" on line 2', error.message);
+            assert(error.format().includes('<h1>Home</h1>'));
+        });
+        assertEqual(false, engine.hasTemplate('other.html'));
+    },
+
+    function test_pluginValidation() {
+        const engine = new TemplateEngine();
+
+        assertThrows(() => engine.registerPlugin({ visitors: {} }), (error) => {
+            assert(error instanceof TypeError);
+            assertEqual('A compiler plugin must be an object with a name', error.message);
+        });
+
+        assertThrows(() => engine.registerPlugin({ name: 'empty' }), (error) => {
+            assert(error instanceof TypeError);
+        });
+
+        assertThrows(() => engine.registerPlugin({ name: 'future', nodeFormat: NODE_FORMAT_VERSION + 1, visitors: {} }), (error) => {
+            assertEqual(
+                `The plugin "future" is written for syntax tree node format ${ NODE_FORMAT_VERSION + 1 }, but this version uses node format ${ NODE_FORMAT_VERSION }`,
+                error.message
+            );
+        });
+    },
+];
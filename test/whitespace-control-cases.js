@@ -0,0 +1,97 @@
+import { assertEqual } from 'kixx-assert';
+import TemplateEngine from '../lib/template-engine.js';
+
+
+// Run each case with both render backends.
+function createEngines(options) {
+    return [ false, true ].map((codegen) => {
+        return new TemplateEngine(Object.assign({ codegen }, options));
+    });
+}
+
+
+export default [
+    function test_tildeMarkers() {
+        const source = [
+            '<p>',
+            '    {{~ title ~}}',
+            '</p>',
+            '{{#each items as |item| ~}}',
+            '    {{ item }}',
+            '{{~/each}} |',
+            'a  {{~!-- comment --~}}  b',
+            '{{{~ html ~}}}',
+            '   end',
+        ].join('\n');
+
+        for (const engine of createEngines()) {
+            engine.compile('page.html', source);
+
+            assertEqual(
+                '<p>Title</p>\nab |\nab<b>end\n',
+                engine.render('page.html', { title: 'Title', items: [ 'a', 'b' ], html: '<b>' })
+            );
+        }
+    },
+
+    function test_standaloneLines() {
+        const source = [
+            '<ul>',
+            '    {{!-- The list items --}}',
+            '    {{#each items as |item|}}',
+            '    <li>{{ item }}</li>',
+            '    {{else}}',
+            '    <li>None</li>',
+            '    {{/each}}',
+            '</ul>',
+            '{{#if title}}<h1>{{ title }}</h1>{{/if}}',
+        ].join('\n');
+
+        for (const engine of createEngines({ stripStandalone: true })) {
+            engine.compile('page.html', source);
+
+            assertEqual(
+                '<ul>\n    <li>a</li>\n    <li>b</li>\n</ul>\n<h1>Hi</h1>\n',
+                engine.render('page.html', { title: 'Hi', items: [ 'a', 'b' ] })
+            );
+            assertEqual('<ul>\n    <li>None</li>\n</ul>\n\n', engine.render('page.html', { items: [] }));
+        }
+
+        // Standalone lines are only stripped when the option is set.
+        for (const engine of createEngines()) {
+            engine.compile('page.html', '<ul>\n  {{#each items as |item|}}\n  <li>{{ item }}</li>\n  {{/each}}\n</ul>');
+
+            assertEqual('<ul>\n  \n  <li>a</li>\n  \n</ul>\n', engine.render('page.html', { items: [ 'a' ] }));
+        }
+    },
+
+    function test_standalonePartialIndentation() {
+        const source = [
+            '<nav>',
+            '    {{> links.html }}',
+            '</nav>',
+            '<p>{{> links.html }}</p>',
+        ].join('\n');
+
+        for (const engine of createEngines({ stripStandalone: true })) {
+            engine.registerPartial('links.html', '{{#each links as |link|}}\n<a>{{ link }}</a>\n{{/each}}');
+            engine.compile('page.html', source);
+
+            assertEqual(
+                '<nav>\n    <a>Home</a>\n    <a>About</a>\n</nav>\n<p><a>Home</a>\n<a>About</a>\n</p>\n',
+                engine.render('page.html', { links: [ 'Home', 'About' ] })
+            );
+        }
+    },
+
+    async function test_asyncPartialIndentation() {
+        const engine = new TemplateEngine({ async: true, stripStandalone: true });
+
+        engine.registerPartial('address.html', '{{ street }}\n{{ city }}');
+        engine.compile('page.html', '<address>\n  {{> address.html }}\n</address>');
+
+        const context = { street: Promise.resolve('1 Main St'), city: 'Springfield' };
+
+        assertEqual('<address>\n  1 Main St\n  Springfield\n</address>\n', await engine.render('page.html', context));
+    },
+];